@@ -5,13 +5,51 @@ precision highp int;
 // <<< Varyings passed from Vertex Shader >>>
 in vec2 vUv;  // Original UV Map (UV0) - Used for EDGE EFFECTS ONLY
 in vec2 vUv2; // <<< NEW: Second UV Map (UV1) - Used for MAIN PATTERNS >>>
+in vec3 vWorldPosition; // World position - Used to sample the river flow map
 
 // <<< Uniforms expected from JavaScript >>>
 uniform vec2 resolution; // Viewport resolution (width, height)
 uniform float time;      // Time elapsed
 uniform float patternScale; // Overall scale factor for noise patterns <<< NOTE: Effect largely removed >>>
 uniform float timeScale;    // Overall speed factor for animation
-// <<< NOTE: uAlpha uniform was removed in the provided base version, keeping it removed >>>
+uniform float uAlpha;       // Base water opacity (shallowest water); deeper water goes opaque
+uniform vec3 waterLight;    // Time of day tint for the stylized colors (white at noon)
+uniform vec3 moonDirection; // Unit vector towards the moon
+uniform float moonGlint;    // 0 by day, 1 at full night with the moon up
+uniform vec2 windVelocity;       // World units/s (XZ)
+uniform float windRippleDrift;   // Fraction of the wind added to the pattern advection
+uniform float rainIntensity;      // 0 = dry, 1 = full rain
+uniform float rainRippleCellSize; // World units per ripple cell
+uniform float rainRippleRate;     // Ripples per second per cell
+// River current (same baked field the boat physics samples)
+uniform sampler2D flowMap;  // RG = world XZ current / flowMaxSpeed (0.5 = still), B = wet mask
+uniform vec4 flowMapBounds; // World minX, minZ, sizeX, sizeZ covered by flowMap
+uniform vec2 flowUvScale;   // UV1 units per world unit along X and Z
+uniform float flowMaxSpeed; // World units/s of a full-scale flowMap texel
+uniform float flowCyclePeriod; // Seconds per advection cycle (two phases cross-faded to hide the reset)
+// Planar reflection (mirror camera about the water level, rendered by main.js)
+uniform sampler2D reflectionMap;
+uniform mat4 reflectionTextureMatrix; // World position -> projective reflection texture coords
+uniform float reflectionEnabled;      // 0.0 when the reflection pass was skipped this frame
+uniform float reflectionFresnelBias;  // Reflectivity looking straight down
+uniform float reflectionStrength;     // Max reflection blend at grazing angles
+uniform float reflectionDistortion;   // Wobble of the reflection from the water pattern
+// Scene depth prepass (everything except water and sky, from the viewing camera)
+uniform sampler2D sceneDepthMap;
+uniform vec2 depthScreenSize;      // Drawing buffer size in pixels
+uniform float cameraNear;
+uniform float cameraFar;
+uniform float depthPrepassEnabled; // 0.0 when the prepass was skipped: fall back to UV0 edge distance
+uniform float shoreDepthToEdge;    // UV-edge-equivalent per world unit of depth
+uniform vec3 depthAbsorption;      // Per-channel absorption per world unit of depth
+uniform float depthOpacityFalloff; // How fast opacity goes from uAlpha to 1.0 with depth
+// Boat wake (ring buffer of ripple sources from main.js)
+uniform vec4 wakePoints[WAKE_POINT_COUNT]; // xy = world XZ, z = spawn time, w = strength (0 = unused)
+uniform float wakeLifetime;  // Seconds a ring stays visible
+uniform float wakeRingSpeed; // Ring expansion speed (world units/s)
+uniform float wakeRingWidth; // Ring width (world units)
+
+#include <packing>
 
 // <<< Output Variable Declaration >>>
 // Output color (implicitly vec4 pc_fragColor in Three.js r152+)
@@ -112,6 +150,35 @@ float calculate_streaks(vec2 sampling_st, vec2 currentVec, float time_in, float
 }
 
 
+// Helper: River current at this fragment, in world units per second (XZ)
+vec2 sample_river_flow(vec2 worldXZ) {
+    vec2 flowUv = (worldXZ - flowMapBounds.xy) / flowMapBounds.zw;
+    vec3 texel = texture2D(flowMap, clamp(flowUv, 0.0, 1.0)).rgb;
+    return (texel.rg * 2.0 - 1.0) * flowMaxSpeed;
+}
+
+// Helper: Dark line noise (0-1) at aspect-corrected pattern coords (using snoise3D)
+float dark_line_noise01(vec2 dark_st, float darkWaveFrequency, float t) {
+    // <<< MODIFIED: Apply anisotropic scaling to counter stretching >>>
+    vec2 scaled_dark_st = dark_st * darkWaveFrequency; // Base scaling
+    scaled_dark_st.y *= 1.3; // Increase frequency only on Y-axis by 1.3x
+    return snoise(vec3(scaled_dark_st, t)) * 0.5 + 0.5; // Use scaled coords
+}
+
+// Helper: Rain drop ripple rings, one per grid cell per layer, each at a random spot and phase
+float rain_ripples(vec2 worldXZ, float t) {
+    float total = 0.0;
+    for (int layer = 0; layer < 2; layer++) {
+        vec2 p = worldXZ / rainRippleCellSize + float(layer) * 0.5; // Second layer on a half-cell offset grid
+        vec3 h = hash3(vec3(floor(p), float(layer) * 17.0));
+        vec2 local = fract(p) - 0.5 - h.xy * 0.25;
+        float phase = fract(t * rainRippleRate + h.z * 0.5 + 0.5);
+        float ring = 1.0 - smoothstep(0.0, 0.04, abs(length(local) - phase * 0.25));
+        total += ring * (1.0 - phase) * (1.0 - phase);
+    }
+    return total;
+}
+
 // --- Main Shader ---
 void main() {
     // Original UV coordinates (0 to 1 range) - Used for EDGE effects
@@ -125,6 +192,7 @@ void main() {
     vec3 colorDarkLine   = vec3(0.10, 0.375, 0.725);
     vec3 colorFoamLine   = vec3(0.95, 0.98, 1.00);
     vec3 colorStaticGlow = vec3(1.0, 1.0, 1.0);
+    vec3 colorShallow    = vec3(0.35, 0.72, 0.80);
 
     // Timing & Animation
     float masterTimeFactor = 0.35;
@@ -217,6 +285,18 @@ void main() {
     float distToEdge = min(min(st_orig.x, 1.0 - st_orig.x), min(st_orig.y, 1.0 - st_orig.y));
     distToEdge = max(distToEdge, 0.0001);
 
+    // 1b. True Water Depth from the scene depth prepass (replaces the UV edge distance for the shoreline)
+    float waterDepth = -1.0; // < 0.0 = unknown
+    if (depthPrepassEnabled > 0.5) {
+        float sceneDepth = texture2D(sceneDepthMap, gl_FragCoord.xy / depthScreenSize).x;
+        float sceneViewZ = perspectiveDepthToViewZ(sceneDepth, cameraNear, cameraFar);
+        vec3 waterViewPosition = (viewMatrix * vec4(vWorldPosition, 1.0)).xyz;
+        // View-Z gap -> distance along the view ray -> vertical depth below the surface
+        float rayThickness = max(waterViewPosition.z - sceneViewZ, 0.0) * length(waterViewPosition) / max(-waterViewPosition.z, 1e-4);
+        waterDepth = rayThickness * abs(normalize(vWorldPosition - cameraPosition).y);
+        distToEdge = max(waterDepth * shoreDepthToEdge, 0.0001);
+    }
+
     // 2. Calculate Edge Distortion Vector (using snoise3D)
     vec3 lapDistortNoiseCoord = vec3(st_orig * lapWaveDistortionFreq, masterTime * 0.2); // Using vec3
     vec2 edgeDistortion = vec2(
@@ -228,7 +308,16 @@ void main() {
     vec2 mainCurrentVector = calculate_main_current(st, masterTime * mainCurrentSpeed, mainCurrentFrequency, mainCurrentStrength);
     vec2 foamCurrentVector = calculate_foam_current(st, masterTime * foamCurrentSpeed, foamCurrentFrequency, foamCurrentStrength);
 
-    // 4. Determine Final Sampling Coords
+    // 3b. River Current Flow Map (two phases, offset by half a cycle and cross-faded)
+    vec2 surfaceDrift = sample_river_flow(vWorldPosition.xz) + windVelocity * windRippleDrift; // Wind pushes the ripples downwind
+    vec2 riverFlowSt = surfaceDrift * flowUvScale * vec2(resolution.x / resolution.y, 1.0);
+    float flowPhaseA = fract(time / flowCyclePeriod);
+    float flowPhaseB = fract(time / flowCyclePeriod + 0.5);
+    float flowBlend = abs(1.0 - 2.0 * flowPhaseA); // 0 while phase A is mid-cycle, 1 when it resets
+    vec2 flowOffsetA = riverFlowSt * flowPhaseA * flowCyclePeriod;
+    vec2 flowOffsetB = riverFlowSt * flowPhaseB * flowCyclePeriod;
+
+    // 4. Determine Final Sampling Coords (patterns move downstream, so sample upstream)
     vec2 dark_final_st = st + mainCurrentVector;
     vec2 foam_final_st = st + foamCurrentVector;
 
@@ -252,14 +341,12 @@ void main() {
     );
 
 
-    // --- Dark Lines (Simplex based) --- (using snoise3D)
-    // <<< MODIFIED: Apply anisotropic scaling to counter stretching >>>
-    vec2 scaled_dark_st = dark_final_st * darkWaveFrequency; // Base scaling
-    scaled_dark_st.y *= 1.3; // Increase frequency only on Y-axis by 1.3x
-    vec3 darkNoiseCoord = vec3(scaled_dark_st, masterTime * waveSpeedDark); // Use scaled coords
-
-    float darkNoiseValue = snoise(darkNoiseCoord);
-    float darkNoiseValue01 = darkNoiseValue * 0.5 + 0.5;
+    // --- Dark Lines (Simplex based) --- (using snoise3D, advected by the river flow map)
+    float darkNoiseValue01 = mix(
+        dark_line_noise01(dark_final_st - flowOffsetA, darkWaveFrequency, masterTime * waveSpeedDark),
+        dark_line_noise01(dark_final_st - flowOffsetB, darkWaveFrequency, masterTime * waveSpeedDark),
+        flowBlend
+    );
     float darkLineIntensity = calculate_line_intensity(darkNoiseValue01, darkLineThreshold, darkLineSharpness);
     darkLineIntensity *= darkLineOpacity;
     darkLineIntensity *= lineVisibilityMask; // Apply breakup mask
@@ -272,8 +359,9 @@ void main() {
         snoise(foamDistortionCoord1),
         snoise(foamDistortionCoord2)
     ) * foamBandDistortionStrength;
-    vec3 foamSimplexCoord = vec3((foam_final_st + foamDistortionOffset) * foamBandFrequency, masterTime * waveSpeedFoam);
-    float foamSimplexValue = snoise(foamSimplexCoord);
+    vec3 foamSimplexCoordA = vec3((foam_final_st - flowOffsetA + foamDistortionOffset) * foamBandFrequency, masterTime * waveSpeedFoam);
+    vec3 foamSimplexCoordB = vec3((foam_final_st - flowOffsetB + foamDistortionOffset) * foamBandFrequency, masterTime * waveSpeedFoam);
+    float foamSimplexValue = mix(snoise(foamSimplexCoordA), snoise(foamSimplexCoordB), flowBlend);
     float foamSimplexValue01 = foamSimplexValue * 0.5 + 0.5;
     float foamIntensity_base = calculate_band_intensity(foamSimplexValue01, foamBandStart, foamBandEnd, foamBandSharpness);
     float foamIntensity_masked = foamIntensity_base * foamMask * foamBandOpacity; // Apply independent foamMask
@@ -320,14 +408,63 @@ void main() {
     radialWaveIntensity_final = clamp(radialWaveIntensity_final, 0.0, 1.0);
 
 
+    // --- Boat Wake & Oar Splash Rings ---
+    float wakeIntensity = 0.0;
+    for (int i = 0; i < WAKE_POINT_COUNT; i++) {
+        vec4 wakePoint = wakePoints[i];
+        float age = time - wakePoint.z;
+        if (wakePoint.w <= 0.0 || age < 0.0 || age > wakeLifetime) continue;
+        float ringDistance = abs(distance(vWorldPosition.xz, wakePoint.xy) - age * wakeRingSpeed);
+        float ring = 1.0 - smoothstep(0.0, wakeRingWidth, ringDistance);
+        float fade = 1.0 - age / wakeLifetime;
+        wakeIntensity += ring * fade * fade * wakePoint.w;
+    }
+    wakeIntensity = clamp(wakeIntensity, 0.0, 1.0) * mix(1.0, foamMask, 0.5); // Break the rings up a little
+
+    // --- Rain Drop Ripples ---
+    float rainRippleIntensity = rainIntensity > 0.0 ? rain_ripples(vWorldPosition.xz, time) * rainIntensity * 0.6 : 0.0;
+
+
     // --- Final Compositing ---
     vec3 baseColor = mix(colorBackground, colorDarkLine, clamp(darkLineIntensity, 0.0, 1.0));
+    // Depth-based absorption: shallow water keeps a lighter, greener tint
+    if (waterDepth >= 0.0) {
+        vec3 transmittance = exp(-depthAbsorption * waterDepth);
+        baseColor = mix(baseColor, colorShallow, transmittance * 0.6);
+    }
     float glowBoost = mix(1.0, staticGlowDarkBoost, clamp(darkLineIntensity, 0.0, 1.0));
     vec3 colorWithGlow = baseColor + colorStaticGlow * staticGlowFactor * staticGlowAlpha * glowBoost;
-    float totalFoamIntensity = clamp(foamIntensity_masked + lapLineIntensity_final + radialWaveIntensity_final, 0.0, 1.0);
-    vec3 finalColor = mix(colorWithGlow, colorFoamLine, totalFoamIntensity);
+    colorWithGlow *= waterLight; // Darken/tint with the time of day (the reflection below is already lit)
+
+    // Planar reflection with Schlick Fresnel (flat-surface normal), under the foam lines
+    if (reflectionEnabled > 0.5) {
+        vec4 reflectionCoord = reflectionTextureMatrix * vec4(vWorldPosition, 1.0);
+        vec2 reflectionUv = reflectionCoord.xy / reflectionCoord.w;
+        reflectionUv += vec2(darkNoiseValue01 - 0.5, foamSimplexValue01 - 0.5) * reflectionDistortion;
+        vec3 reflectionColor = texture2D(reflectionMap, clamp(reflectionUv, 0.0, 1.0)).rgb;
+        reflectionColor = pow(reflectionColor, vec3(1.0 / 2.2)); // Render target is linear, the stylized colors are not
+        vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+        float fresnel = reflectionFresnelBias + (1.0 - reflectionFresnelBias) * pow(1.0 - clamp(viewDir.y, 0.0, 1.0), 5.0);
+        colorWithGlow = mix(colorWithGlow, reflectionColor, clamp(fresnel * reflectionStrength, 0.0, 1.0));
+    }
+    float totalFoamIntensity = clamp(foamIntensity_masked + lapLineIntensity_final + radialWaveIntensity_final + wakeIntensity + rainRippleIntensity, 0.0, 1.0);
+    vec3 finalColor = mix(colorWithGlow, colorFoamLine * waterLight, totalFoamIntensity);
+
+    // Moon glint: sharp highlight off a noise-perturbed surface normal
+    if (moonGlint > 0.0) {
+        vec3 glintNormal = normalize(vec3((darkNoiseValue01 - 0.5) * 0.3, 1.0, (foamSimplexValue01 - 0.5) * 0.3));
+        vec3 halfVector = normalize(normalize(cameraPosition - vWorldPosition) + moonDirection);
+        float glint = pow(max(dot(glintNormal, halfVector), 0.0), 400.0);
+        finalColor += vec3(0.85, 0.9, 1.0) * glint * moonGlint;
+    }
     finalColor = clamp(finalColor, 0.0, 1.0);
 
     // --- Output ---
-    gl_FragColor = vec4(finalColor, 1.0); // Use alpha 1.0
+    // Opacity: uAlpha in the shallows, opaque with depth, foam always opaque
+    float alpha = uAlpha;
+    if (waterDepth >= 0.0) {
+        alpha = mix(uAlpha, 1.0, 1.0 - exp(-waterDepth * depthOpacityFalloff));
+    }
+    alpha = max(alpha, totalFoamIntensity);
+    gl_FragColor = vec4(finalColor, alpha);
 }
\ No newline at end of file
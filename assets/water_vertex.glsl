@@ -1,10 +1,19 @@
 // Varyings to pass to Fragment Shader
 varying vec2 vUv;  // Original UV Map (from 'uv' attribute)
 varying vec2 vUv2; // <<< Still passing as vUv2, but reading from 'uv1' attribute >>>
+varying vec3 vWorldPosition; // World position, used to sample the river flow map
 
 // Attributes from Geometry
 attribute vec2 uv1; // <<< CHANGED: Expect 'uv1' attribute from BufferGeometry >>>
 
+// Uniforms for the optional wave displacement (WAVE_COUNT comes from the material defines)
+uniform float time;
+uniform float timeScale;
+uniform float waveDisplacementEnabled; // 0.0 = flat surface, 1.0 = sum-of-sines displacement
+uniform vec4 waveShape[WAVE_COUNT];      // xy = unit direction (XZ), z = wavenumber, w = amplitude
+uniform float wavePhaseSpeed[WAVE_COUNT]; // Phase speed in world units per second
+uniform float waveBankFadeDistance;      // UV0 edge distance over which waves fade out at the banks
+
 void main() {
   // Pass original UV map
   vUv = uv;
@@ -12,6 +21,18 @@ void main() {
   // <<< CHANGED: Pass second UV map (read from uv1) as vUv2 >>>
   vUv2 = uv1;
 
-  // Standard position calculation
-  gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+  // Standard position calculation (world position kept for the river flow map)
+  vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+
+  // Sum-of-sines height (must match getWaveHeight in main.js), faded towards the banks
+  float waveHeight = 0.0;
+  for (int i = 0; i < WAVE_COUNT; i++) {
+    float along = dot(worldPosition.xz, waveShape[i].xy);
+    waveHeight += waveShape[i].w * sin(waveShape[i].z * (along - wavePhaseSpeed[i] * timeScale * time));
+  }
+  float distToEdge = max(min(min(uv.x, 1.0 - uv.x), min(uv.y, 1.0 - uv.y)), 0.0001); // Same as the fragment shader
+  worldPosition.y += waveHeight * smoothstep(0.0, waveBankFadeDistance, distToEdge) * waveDisplacementEnabled;
+
+  vWorldPosition = worldPosition.xyz;
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
 }
\ No newline at end of file
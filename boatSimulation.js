@@ -0,0 +1,512 @@
+// Boat simulation: the fixed-step boat physics (steering, thrust, hull drag against the river current,
+// windage, collision against the boundary mesh and the water-level clamp) and the baked river current
+// it samples. Only three.js math and raycasting, no renderer, so it also runs headless in Node (test.js).
+import * as THREE from 'three';
+
+// --- Configuration ---
+export const terrainScale = 10;
+export const WATER_LEVEL_Y = -17.0; // <<< Using level from Sky/Current version >>>
+// FPS Lock (fixed physics step; replays and tests rely on it)
+export const targetFrameRate = 30;
+export const targetFrameDuration = 1 / targetFrameRate; // Seconds
+// Boat Physics
+export const boatScale = 2.0; // <<< REVERTED Boat scale back to original size >>>
+export const maxSpeed = 15.0 * terrainScale / 10;
+export const accelerationRate = 10.0 * terrainScale / 10;
+export const maxReverseSpeed = 6.0 * terrainScale / 10; // Backing up is slower than rowing forward
+export const reverseAccelerationRate = 6.0 * terrainScale / 10;
+// Rigid body (2D, XZ plane)
+export const forwardDragCoefficient = 0.55; // Per second, velocity along the keel bleeds off slowly (boat coasts)
+export const lateralDragCoefficient = 3.0;  // Per second, sideways velocity bleeds off fast (hull resists skidding)
+export const turnAcceleration = 2.5;        // Radians per second^2 while a turn key is held
+export const angularDamping = 2.0;          // Per second, spin bleeds off once the turn key is released
+export const maxAngularSpeed = 1.0 * Math.PI / 180 * 60; // Radians per second (old fixed turn rate)
+// River Current
+export const riverCurrentMaxSpeed = 3.0 * terrainScale / 10;  // Mid-channel current speed
+export const riverCurrentBankFalloff = 2.5 * terrainScale;    // Distance from the bank over which slack water ramps up to full current
+export const flowFieldResolution = 128;                       // Grid cells along the longer side of the water footprint
+// Wind
+export const windageCoefficient = 0.12; // Per second, how strongly the air drags the boat towards the wind velocity
+// Collision
+export const collisionCheckDistance = 5.0 * boatScale; // How far ahead to check for collision (scales with boat)
+export const collisionRestitution = 0.2; // Fraction of the into-wall speed bounced back off the bank (0 = pure slide)
+export const collisionFriction = 0.1; // Fraction of the along-wall speed scraped off per contact
+export const collisionSkin = 0.1; // Gap kept between the hull probes and the bank
+export const collisionNudge = 0.01; // Tiny push away from wall to prevent sticking
+export const boatCollisionRestitution = 0.3;  // Bounciness of boat-on-boat bumps (0 = dead stop, 1 = elastic)
+// Hull (boat-local, before boatScale): the raft's half extents along the keel and across it. main.js builds the raft
+// mesh from them; the boat-on-boat collision circles and the buoyancy samples use them too.
+export const hullHalfLength = 2.0;
+export const hullHalfWidth = 1.0;
+// Hull probes (boat-local)
+export const boatForward = new THREE.Vector3(0, 0, -1); // Local forward
+export const boatRight = new THREE.Vector3(1, 0, 0); // Local starboard
+export const rayCheckPoints = [
+     new THREE.Vector3(0, 0, -1.5 * boatScale),  // Front center (scaled with boat)
+     new THREE.Vector3(0.8 * boatScale, 0, -1.2 * boatScale), // Front right (scaled with boat)
+     new THREE.Vector3(-0.8 * boatScale, 0, -1.2 * boatScale) // Front left (scaled with boat)
+];
+export const sternRayCheckPoints = [
+     new THREE.Vector3(0, 0, 1.5 * boatScale),  // Back center (scaled with boat)
+     new THREE.Vector3(0.8 * boatScale, 0, 1.2 * boatScale), // Back right (scaled with boat)
+     new THREE.Vector3(-0.8 * boatScale, 0, 1.2 * boatScale) // Back left (scaled with boat)
+];
+export const sideRayCheckPoints = [
+     new THREE.Vector3(1.0 * boatScale, 0, 0), // Starboard beam (scaled with boat)
+     new THREE.Vector3(-1.0 * boatScale, 0, 0) // Port beam (scaled with boat)
+];
+export const hullProbePoints = [...rayCheckPoints, ...sternRayCheckPoints, ...sideRayCheckPoints];
+
+// --- Boat State ---
+// Physics part of a boat's state; main.js adds the rower, animation and input fields on top
+export function createBoatPhysicsState(object) {
+    return {
+        object, // The boat's Object3D; its position and quaternion are the rigid body's
+        velocity: new THREE.Vector3(), // World-space linear velocity (Y always 0)
+        angularVelocity: 0.0, // Radians per second around world Y (positive = left)
+        currentSpeed: 0.0, // Keel-aligned speed from the last physics step (drives rowing animation)
+        controls: { throttle: 0, steer: 0 } // Analog: throttle -1 (reverse) .. 1 (forward), steer -1 (left) .. 1 (right)
+    };
+}
+
+// Initial boat position (relative to the scaled terrain's bounding box), written into `target`
+export function getBoatSpawnPosition(terrainBox, target) {
+    // <<< ADJUSTED Initial Boat Position >>>
+    const initialOffsetZ = -60; // "North" offset
+    const initialOffsetX = 25; // "East" offset
+    const center = terrainBox.getCenter(new THREE.Vector3());
+    const size = terrainBox.getSize(new THREE.Vector3());
+    const startZ = center.z + size.z * 0.25 + initialOffsetZ; // Original Z + offset
+    const startX = center.x + initialOffsetX; // Original X + offset
+    return target.set(startX, WATER_LEVEL_Y, startZ); // Set Y directly to water level
+}
+
+// --- River Current Flow Field ---
+// The current is baked onto a world-space XZ grid over the water mesh footprint.
+// Direction follows the channel towards the river mouth (steepest descent of the
+// in-water distance to the mouth), speed ramps from slack water at the banks to
+// riverCurrentMaxSpeed mid-channel. The grid also carries a packed texture for the
+// water shader's flowMap, so the painted advection matches what the boat feels.
+export function buildRiverFlowField(mesh) {
+    mesh.updateMatrixWorld(true);
+    const geometry = mesh.geometry;
+    const positionAttr = geometry.attributes.position;
+    const uv1Attr = geometry.attributes.uv1;
+    const vertexCount = positionAttr.count;
+
+    // Vertices to world XZ (also fit UV1 per world unit for the shader's advection)
+    const worldXZ = new Float32Array(vertexCount * 2);
+    const v = new THREE.Vector3();
+    let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+    let sumX = 0, sumZ = 0, sumU = 0, sumV = 0, sumXU = 0, sumZV = 0, sumXX = 0, sumZZ = 0;
+    for (let i = 0; i < vertexCount; i++) {
+        v.fromBufferAttribute(positionAttr, i).applyMatrix4(mesh.matrixWorld);
+        worldXZ[i * 2] = v.x; worldXZ[i * 2 + 1] = v.z;
+        minX = Math.min(minX, v.x); maxX = Math.max(maxX, v.x);
+        minZ = Math.min(minZ, v.z); maxZ = Math.max(maxZ, v.z);
+        if (uv1Attr) {
+            const u = uv1Attr.getX(i), w = uv1Attr.getY(i);
+            sumX += v.x; sumZ += v.z; sumU += u; sumV += w;
+            sumXU += v.x * u; sumZV += v.z * w; sumXX += v.x * v.x; sumZZ += v.z * v.z;
+        }
+    }
+    const slope = (sumAB, sumA, sumB, sumAA) => {
+        const variance = sumAA - sumA * sumA / vertexCount;
+        return variance > 0 ? (sumAB - sumA * sumB / vertexCount) / variance : 0;
+    };
+    const uvScale = uv1Attr ? new THREE.Vector2(slope(sumXU, sumX, sumU, sumXX), slope(sumZV, sumZ, sumV, sumZZ)) : new THREE.Vector2();
+
+    const cellSize = Math.max(maxX - minX, maxZ - minZ) / flowFieldResolution;
+    const width = Math.ceil((maxX - minX) / cellSize) + 1;
+    const height = Math.ceil((maxZ - minZ) / cellSize) + 1;
+    const cellCount = width * height;
+
+    // 1. Rasterize the water triangles into a wet/dry mask (cell centers)
+    const wet = new Uint8Array(cellCount);
+    const edgeDistance = new Float32Array(cellCount); // UV0 distance to the UV border, like the shaders' distToEdge
+    const uvAttr = geometry.attributes.uv;
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : vertexCount) / 3;
+    for (let t = 0; t < triangleCount; t++) {
+        const ia = index ? index.getX(t * 3) : t * 3;
+        const ib = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+        const ic = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+        const ax = worldXZ[ia * 2], az = worldXZ[ia * 2 + 1];
+        const bx = worldXZ[ib * 2], bz = worldXZ[ib * 2 + 1];
+        const cx = worldXZ[ic * 2], cz = worldXZ[ic * 2 + 1];
+        const area = (bx - ax) * (cz - az) - (bz - az) * (cx - ax);
+        if (Math.abs(area) < 1e-9) continue;
+        const i0 = Math.max(0, Math.ceil((Math.min(ax, bx, cx) - minX) / cellSize - 0.5));
+        const i1 = Math.min(width - 1, Math.floor((Math.max(ax, bx, cx) - minX) / cellSize - 0.5));
+        const j0 = Math.max(0, Math.ceil((Math.min(az, bz, cz) - minZ) / cellSize - 0.5));
+        const j1 = Math.min(height - 1, Math.floor((Math.max(az, bz, cz) - minZ) / cellSize - 0.5));
+        for (let j = j0; j <= j1; j++) {
+            const pz = minZ + (j + 0.5) * cellSize;
+            for (let i = i0; i <= i1; i++) {
+                const px = minX + (i + 0.5) * cellSize;
+                const w0 = ((bx - px) * (cz - pz) - (bz - pz) * (cx - px)) / area;
+                const w1 = ((cx - px) * (az - pz) - (cz - pz) * (ax - px)) / area;
+                if (w0 >= -1e-6 && w1 >= -1e-6 && w0 + w1 <= 1 + 1e-6) {
+                    const c = j * width + i;
+                    wet[c] = 1;
+                    if (uvAttr) {
+                        const w2 = 1 - w0 - w1;
+                        const u = uvAttr.getX(ia) * w0 + uvAttr.getX(ib) * w1 + uvAttr.getX(ic) * w2;
+                        const uv = uvAttr.getY(ia) * w0 + uvAttr.getY(ib) * w1 + uvAttr.getY(ic) * w2;
+                        edgeDistance[c] = Math.max(Math.min(u, 1 - u, uv, 1 - uv), 0.0001);
+                    } else {
+                        edgeDistance[c] = 0.5; // No UV0: never fade
+                    }
+                }
+            }
+        }
+    }
+
+    // Chamfer distance sweeps over the 8-neighbourhood. Forward pass looks at the
+    // already-visited neighbours (up/left), backward pass at the rest.
+    const neighbours = [[-1, -1, Math.SQRT2], [0, -1, 1], [1, -1, Math.SQRT2], [-1, 0, 1]];
+    const sweep = (dist, passable, outsideValue) => {
+        let changed = false;
+        for (let pass = 0; pass < 2; pass++) {
+            const sign = pass === 0 ? 1 : -1;
+            for (let jj = 0; jj < height; jj++) {
+                const j = pass === 0 ? jj : height - 1 - jj;
+                for (let ii = 0; ii < width; ii++) {
+                    const i = pass === 0 ? ii : width - 1 - ii;
+                    const c = j * width + i;
+                    if (!passable[c]) continue;
+                    for (const [di, dj, cost] of neighbours) {
+                        const ni = i + di * sign, nj = j + dj * sign;
+                        const inside = ni >= 0 && ni < width && nj >= 0 && nj < height;
+                        const nd = inside ? dist[nj * width + ni] : outsideValue; // Dry cells hold 0 (bank) or Infinity (unreachable)
+                        if (nd + cost < dist[c]) { dist[c] = nd + cost; changed = true; }
+                    }
+                }
+            }
+        }
+        return changed;
+    };
+
+    // 2. Distance to the bank (in cells): dry cells and the grid border are the bank
+    const bankDistance = new Float32Array(cellCount);
+    for (let c = 0; c < cellCount; c++) bankDistance[c] = wet[c] ? Infinity : 0;
+    sweep(bankDistance, wet, 0);
+
+    // 3. The river mouth. The two ends of the channel are the ends of the longest in-water path (the
+    // wet cell farthest from the widest point, then the one farthest from that); the mouth is the end
+    // further along UV1 v (water_mesh.glb runs v from its north edge down to the south-east mouth).
+    const inWaterDistance = (fromCell) => {
+        const dist = new Float32Array(cellCount).fill(Infinity);
+        dist[fromCell] = 0;
+        for (let iteration = 0; iteration < 64 && sweep(dist, wet, Infinity); iteration++);
+        return dist;
+    };
+    const farthestWetCell = (values) => {
+        let best = -1;
+        for (let c = 0; c < cellCount; c++) {
+            if (wet[c] && isFinite(values[c]) && (best < 0 || values[c] > values[best])) best = c;
+        }
+        return best;
+    };
+    const widestCell = farthestWetCell(bankDistance);
+    if (widestCell < 0) throw new Error("Water mesh footprint has no wet cells");
+    const firstEnd = farthestWetCell(inWaterDistance(widestCell));
+    const firstEndDistance = inWaterDistance(firstEnd);
+    const secondEnd = farthestWetCell(firstEndDistance);
+    const layoutV = (c) => { // UV1 v (UV0 without UV1) of the vertex nearest to the cell center
+        const px = minX + (c % width + 0.5) * cellSize, pz = minZ + (Math.floor(c / width) + 0.5) * cellSize;
+        let nearest = 0, nearestDistance = Infinity;
+        for (let i = 0; i < vertexCount; i++) {
+            const d = (worldXZ[i * 2] - px) ** 2 + (worldXZ[i * 2 + 1] - pz) ** 2;
+            if (d < nearestDistance) { nearestDistance = d; nearest = i; }
+        }
+        return (uv1Attr || uvAttr).getY(nearest);
+    };
+    const mouthCell = layoutV(secondEnd) >= layoutV(firstEnd) ? secondEnd : firstEnd;
+    const mouthDistance = mouthCell === firstEnd ? firstEndDistance : inWaterDistance(mouthCell);
+
+    // 4. Flow direction = steepest descent towards the mouth, smoothed over wet neighbours
+    let dirX = new Float32Array(cellCount), dirZ = new Float32Array(cellCount);
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const c = j * width + i;
+            if (!wet[c] || !isFinite(mouthDistance[c]) || c === mouthCell) continue;
+            let bestDrop = 0, bestI = 0, bestJ = 0;
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let di = -1; di <= 1; di++) {
+                    const ni = i + di, nj = j + dj;
+                    if ((di === 0 && dj === 0) || ni < 0 || ni >= width || nj < 0 || nj >= height) continue;
+                    const drop = (mouthDistance[c] - mouthDistance[nj * width + ni]) / Math.hypot(di, dj);
+                    if (drop > bestDrop) { bestDrop = drop; bestI = di; bestJ = dj; }
+                }
+            }
+            const len = Math.hypot(bestI, bestJ) || 1;
+            dirX[c] = bestI / len; dirZ[c] = bestJ / len;
+        }
+    }
+    for (let pass = 0; pass < 6; pass++) {
+        const nextX = new Float32Array(cellCount), nextZ = new Float32Array(cellCount);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const c = j * width + i;
+                if (!wet[c]) continue;
+                let sx = 0, sz = 0;
+                for (let dj = -1; dj <= 1; dj++) {
+                    for (let di = -1; di <= 1; di++) {
+                        const ni = i + di, nj = j + dj;
+                        if (ni < 0 || ni >= width || nj < 0 || nj >= height || !wet[nj * width + ni]) continue;
+                        sx += dirX[nj * width + ni]; sz += dirZ[nj * width + ni];
+                    }
+                }
+                const len = Math.hypot(sx, sz);
+                if (len > 1e-6) { nextX[c] = sx / len; nextZ[c] = sz / len; }
+            }
+        }
+        dirX = nextX; dirZ = nextZ;
+    }
+
+    // 5. Velocity = direction * bank profile, and pack into an RGBA8 texture for the shader
+    const velX = new Float32Array(cellCount), velZ = new Float32Array(cellCount);
+    const texels = new Uint8Array(cellCount * 4);
+    for (let c = 0; c < cellCount; c++) {
+        const speed = wet[c] ? riverCurrentMaxSpeed * THREE.MathUtils.smoothstep(bankDistance[c] * cellSize, 0, riverCurrentBankFalloff) : 0;
+        velX[c] = dirX[c] * speed; velZ[c] = dirZ[c] * speed;
+        texels[c * 4] = Math.round((velX[c] / riverCurrentMaxSpeed * 0.5 + 0.5) * 255);
+        texels[c * 4 + 1] = Math.round((velZ[c] / riverCurrentMaxSpeed * 0.5 + 0.5) * 255);
+        texels[c * 4 + 2] = wet[c] * 255;
+        texels[c * 4 + 3] = 255;
+    }
+    const texture = new THREE.DataTexture(texels, width, height);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    return { minX, minZ, cellSize, width, height, velX, velZ, edgeDistance, uvScale, texture };
+}
+
+// Bilinearly sample one of the field's per-cell arrays at world (x, z); `outside` beyond the grid
+export function sampleFlowFieldGrid(field, values, x, z, outside = 0) {
+    const fx = (x - field.minX) / field.cellSize - 0.5;
+    const fz = (z - field.minZ) / field.cellSize - 0.5;
+    if (fx < -0.5 || fz < -0.5 || fx > field.width - 0.5 || fz > field.height - 0.5) return outside;
+    const i0 = THREE.MathUtils.clamp(Math.floor(fx), 0, field.width - 1), i1 = Math.min(i0 + 1, field.width - 1);
+    const j0 = THREE.MathUtils.clamp(Math.floor(fz), 0, field.height - 1), j1 = Math.min(j0 + 1, field.height - 1);
+    const tx = THREE.MathUtils.clamp(fx - i0, 0, 1), tz = THREE.MathUtils.clamp(fz - j0, 0, 1);
+    return (values[j0 * field.width + i0] * (1 - tx) + values[j0 * field.width + i1] * tx) * (1 - tz)
+        + (values[j1 * field.width + i0] * (1 - tx) + values[j1 * field.width + i1] * tx) * tz;
+}
+
+// Bilinearly sample the baked current at world (x, z); zero outside the grid
+export function sampleRiverFlow(field, x, z, target) {
+    if (!field) return target.set(0, 0, 0);
+    return target.set(sampleFlowFieldGrid(field, field.velX, x, z), 0, sampleFlowFieldGrid(field, field.velZ, x, z));
+}
+
+// --- Boat Physics Step ---
+const raycaster = new THREE.Raycaster();
+raycaster.firstHitOnly = true; // Collision only ever needs the nearest hit (three-mesh-bvh's acceleratedRaycast)
+const boatWorldQuaternion = new THREE.Quaternion();
+const worldRayOrigin = new THREE.Vector3();
+const worldRayDirection = new THREE.Vector3();
+const collisionNormal = new THREE.Vector3();
+const probeHitNormal = new THREE.Vector3();
+const boundaryNormalMatrix = new THREE.Matrix3();
+const inverseBoatQuaternion = new THREE.Quaternion();
+const localMoveDirection = new THREE.Vector3();
+const localProbeDirection = new THREE.Vector3();
+const hullCenter = new THREE.Vector3();
+const worldBoatForward = new THREE.Vector3();
+const worldBoatRight = new THREE.Vector3();
+const worldMoveDirection = new THREE.Vector3();
+const proposedDisplacement = new THREE.Vector3();
+const waterCurrentVelocity = new THREE.Vector3();
+const relativeVelocity = new THREE.Vector3();
+
+/**
+ * Raycast against `boundaryMesh`. Returns the hit distance (Infinity if nothing within `far`)
+ * and writes the horizontal wall normal, facing back along the ray, into `normalTarget`.
+ */
+export function castBoundaryRay(boundaryMesh, origin, direction, far, normalTarget) {
+    raycaster.set(origin, direction);
+    raycaster.far = far;
+    // boundaryMesh.updateMatrixWorld(true); // Avoid in loop if boundary is static
+    const intersects = raycaster.intersectObject(boundaryMesh, false);
+    if (intersects.length === 0) return Infinity;
+    const intersect = intersects[0];
+    if (intersect.face && intersect.face.normal) { // Check face and normal exist
+        // Normal matrix, not transformDirection: the boundary is scaled non-uniformly
+        normalTarget.copy(intersect.face.normal).applyNormalMatrix(boundaryNormalMatrix.getNormalMatrix(boundaryMesh.matrixWorld));
+    } else {
+        normalTarget.copy(direction).negate(); // Fallback normal
+    }
+    normalTarget.y = 0; // Banks only push the boat sideways
+    if (normalTarget.lengthSq() < 1e-6) normalTarget.copy(direction).negate().setY(0);
+    normalTarget.normalize();
+    if (normalTarget.dot(direction) > 0) normalTarget.negate(); // Face the boat
+    return intersect.distance;
+}
+
+/**
+ * Collision response: drop the into-wall part of this step's displacement, reflect the into-wall
+ * velocity by collisionRestitution and scrape collisionFriction off what is left.
+ */
+function slideAlongWall(state, normal) {
+    const intoWallDisplacement = proposedDisplacement.dot(normal);
+    if (intoWallDisplacement < 0) proposedDisplacement.addScaledVector(normal, -intoWallDisplacement);
+    const intoWallSpeed = state.velocity.dot(normal);
+    if (intoWallSpeed < 0) {
+        state.velocity.addScaledVector(normal, -intoWallSpeed * (1 + collisionRestitution));
+        state.velocity.multiplyScalar(1 - collisionFriction);
+    }
+    state.object.position.addScaledVector(normal, collisionNudge); // Nudge away
+}
+/**
+ * Clearance check: cast from the hull center out to every probe (bow, stern, beams) and push the
+ * boat back out of the bank where one ended up inside it, dropping the into-wall velocity.
+ */
+export function pushHullOutOfBanks(state, boundaryMesh) {
+    const boatObject = state.object;
+    boatObject.updateMatrixWorld();
+    boatObject.getWorldPosition(hullCenter);
+    for (const point of hullProbePoints) {
+        worldRayOrigin.copy(point).applyMatrix4(boatObject.matrixWorld);
+        worldRayDirection.subVectors(worldRayOrigin, hullCenter);
+        const reach = worldRayDirection.length();
+        worldRayDirection.divideScalar(reach);
+        const hitDistance = castBoundaryRay(boundaryMesh, hullCenter, worldRayDirection, reach + collisionSkin, probeHitNormal);
+        if (hitDistance < reach + collisionSkin) {
+            const penetration = reach + collisionSkin - hitDistance;
+            boatObject.position.addScaledVector(probeHitNormal, penetration);
+            hullCenter.addScaledVector(probeHitNormal, penetration);
+            const intoWallSpeed = state.velocity.dot(probeHitNormal);
+            if (intoWallSpeed < 0) state.velocity.addScaledVector(probeHitNormal, -intoWallSpeed);
+        }
+    }
+    boatObject.updateMatrixWorld();
+}
+
+/**
+ * One fixed physics step for a boat: steering and thrust, hull drag against the river current, wind,
+ * collisions with the banks and the water-level clamp. `world` holds what the boat interacts with:
+ * { boundaryMesh, flowField (from buildRiverFlowField, or null for still water), windVelocity }.
+ */
+export function stepBoatPhysics(state, deltaTime, world) {
+    const boatObject = state.object;
+    const { controls } = state;
+    const { boundaryMesh, flowField, windVelocity } = world;
+    // Angular velocity: steering applies torque (proportional to the stick), damping bleeds it off
+    state.angularVelocity -= turnAcceleration * controls.steer * deltaTime;
+    state.angularVelocity *= Math.exp(-angularDamping * deltaTime);
+    state.angularVelocity = THREE.MathUtils.clamp(state.angularVelocity, -maxAngularSpeed, maxAngularSpeed);
+    boatObject.rotateY(state.angularVelocity * deltaTime);
+    boatObject.getWorldQuaternion(boatWorldQuaternion);
+    worldBoatForward.copy(boatForward).applyQuaternion(boatWorldQuaternion).setY(0).normalize();
+    worldBoatRight.copy(boatRight).applyQuaternion(boatWorldQuaternion).setY(0).normalize();
+
+    // Thrust along the keel (negative throttle = backing up)
+    if (controls.throttle > 0) { state.velocity.addScaledVector(worldBoatForward, accelerationRate * controls.throttle * deltaTime); }
+    else if (controls.throttle < 0) { state.velocity.addScaledVector(worldBoatForward, reverseAccelerationRate * controls.throttle * deltaTime); }
+
+    // Hull drag acts on velocity relative to the water, so the boat settles into the river current.
+    // Split it into keel and sideways parts and damp each separately.
+    sampleRiverFlow(flowField, boatObject.position.x, boatObject.position.z, waterCurrentVelocity);
+    relativeVelocity.copy(state.velocity).sub(waterCurrentVelocity);
+    let forwardSpeed = relativeVelocity.dot(worldBoatForward) * Math.exp(-forwardDragCoefficient * deltaTime);
+    const lateralSpeed = relativeVelocity.dot(worldBoatRight) * Math.exp(-lateralDragCoefficient * deltaTime);
+    forwardSpeed = Math.max(-maxReverseSpeed, Math.min(forwardSpeed, maxSpeed)); // Clamp speed
+    state.velocity.copy(worldBoatForward).multiplyScalar(forwardSpeed).addScaledVector(worldBoatRight, lateralSpeed).add(waterCurrentVelocity);
+    state.currentSpeed = forwardSpeed;
+
+    // Windage: the air drags the hull towards the wind velocity; the lateral drag above keeps most of it as sideways drift
+    relativeVelocity.copy(windVelocity).sub(state.velocity).setY(0);
+    state.velocity.addScaledVector(relativeVelocity, windageCoefficient * deltaTime);
+
+    // Collision Detection & Response
+    // Swept check: leading hull probes cast along the motion; on a hit the into-wall part of the
+    // motion is removed so the boat slides along the bank. A second pass catches the other wall in corners.
+    proposedDisplacement.copy(state.velocity).multiplyScalar(deltaTime);
+    inverseBoatQuaternion.copy(boatWorldQuaternion).invert();
+    for (let pass = 0; pass < 2; pass++) {
+        const travelDistance = proposedDisplacement.length();
+        if (travelDistance < 0.01 * deltaTime) break;
+        worldMoveDirection.copy(proposedDisplacement).divideScalar(travelDistance);
+        localMoveDirection.copy(worldMoveDirection).applyQuaternion(inverseBoatQuaternion);
+
+        let nearestHitDistance = Infinity;
+        for (const point of hullProbePoints) {
+            if (localProbeDirection.copy(point).setY(0).normalize().dot(localMoveDirection) <= 0) continue; // Trailing probe
+            worldRayOrigin.copy(point).applyMatrix4(boatObject.matrixWorld);
+            const hitDistance = castBoundaryRay(boundaryMesh, worldRayOrigin, worldMoveDirection, collisionCheckDistance, probeHitNormal);
+            if (hitDistance < travelDistance + collisionSkin && hitDistance < nearestHitDistance) {
+                nearestHitDistance = hitDistance;
+                collisionNormal.copy(probeHitNormal);
+            }
+        }
+        if (nearestHitDistance === Infinity) break;
+        slideAlongWall(state, collisionNormal);
+    }
+
+    // Apply final displacement
+    if (proposedDisplacement.lengthSq() > 0.0001 * 0.0001) {
+        boatObject.position.add(proposedDisplacement);
+    }
+
+    // Clearance check: turning and sideways drift can leave a probe in the bank
+    pushHullOutOfBanks(state, boundaryMesh);
+    // Keep boat slightly above water level if needed, or directly on it
+    boatObject.position.y = WATER_LEVEL_Y; // Set Y directly to water level
+}
+
+// Boat-on-boat collisions: each hull is approximated by two circles (fore and aft half) in the XZ plane,
+// sized from the hull's boat-local half extents (before boatScale). Overlapping pairs are pushed apart
+// equally and bounce with an equal-mass impulse along the contact normal. The push ignores the banks,
+// so both boats get the clearance check again afterwards (otherwise a boat pinned against the bank by
+// the other one would be shoved into it).
+const boatCircleCenters = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const boatKeelDirection = new THREE.Vector3();
+const boatContactOffset = new THREE.Vector3();
+const boatContactNormal = new THREE.Vector3();
+
+function setBoatCircleCenters(state, circleOffset, foreTarget, aftTarget) {
+    boatKeelDirection.copy(boatForward).applyQuaternion(state.object.quaternion).setY(0).normalize();
+    foreTarget.copy(state.object.position).addScaledVector(boatKeelDirection, circleOffset);
+    aftTarget.copy(state.object.position).addScaledVector(boatKeelDirection, -circleOffset);
+}
+
+export function resolveBoatCollisions(states, hullHalfLength, hullHalfWidth, boundaryMesh) {
+    const radius = hullHalfWidth * boatScale;
+    const circleOffset = hullHalfLength * 0.5 * boatScale;
+    for (let a = 0; a < states.length; a++) {
+        for (let b = a + 1; b < states.length; b++) {
+            const first = states[a], second = states[b];
+            setBoatCircleCenters(first, circleOffset, boatCircleCenters[0], boatCircleCenters[1]);
+            setBoatCircleCenters(second, circleOffset, boatCircleCenters[2], boatCircleCenters[3]);
+            let deepest = 0;
+            for (let i = 0; i < 2; i++) {
+                for (let j = 2; j < 4; j++) {
+                    boatContactOffset.subVectors(boatCircleCenters[i], boatCircleCenters[j]).setY(0);
+                    const distance = boatContactOffset.length();
+                    const penetration = 2 * radius - distance;
+                    if (penetration > deepest) {
+                        deepest = penetration;
+                        if (distance > 1e-6) boatContactNormal.copy(boatContactOffset).divideScalar(distance);
+                        else boatContactNormal.set(1, 0, 0);
+                    }
+                }
+            }
+            if (deepest <= 0) continue;
+            // Separate (the normal points from the second boat towards the first)
+            first.object.position.addScaledVector(boatContactNormal, deepest * 0.5);
+            second.object.position.addScaledVector(boatContactNormal, -deepest * 0.5);
+            const closingSpeed = first.velocity.dot(boatContactNormal) - second.velocity.dot(boatContactNormal);
+            if (closingSpeed < 0) {
+                const impulse = -(1 + boatCollisionRestitution) * closingSpeed * 0.5;
+                first.velocity.addScaledVector(boatContactNormal, impulse);
+                second.velocity.addScaledVector(boatContactNormal, -impulse);
+            }
+            // The banks win over the other boat (this also refreshes both world matrices)
+            pushHullOutOfBanks(first, boundaryMesh);
+            pushHullOutOfBanks(second, boundaryMesh);
+        }
+    }
+}
@@ -5,12 +5,20 @@ import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import * as dat from 'dat.gui';
 
 import { Sky } from 'three/addons/objects/Sky.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { computeBoundsTree, acceleratedRaycast } from 'three-mesh-bvh';
+
+import {
+    terrainScale, WATER_LEVEL_Y, targetFrameRate, targetFrameDuration, boatScale, maxSpeed, maxAngularSpeed, riverCurrentMaxSpeed,
+    hullHalfLength, hullHalfWidth, boatForward, rayCheckPoints, sternRayCheckPoints,
+    createBoatPhysicsState, getBoatSpawnPosition, buildRiverFlowField, sampleFlowFieldGrid, stepBoatPhysics,
+    resolveBoatCollisions
+} from './boatSimulation.js';
 
 
 
 // --- Configuration ---
-const terrainScale = 10;
-const WATER_LEVEL_Y = -17.0; // <<< Using level from Sky/Current version >>>
+// (World scale, water level and the boat physics constants are in boatSimulation.js)
 const patternScaleFactor = 1.0; // Initial pattern scale
 const waterTimeScaleFactor = 1.2; // <<< SET FIXED WATER ANIMATION SPEED >>>
 const waterAlpha = 0.85; // <<< Set desired base water transparency (0.0 to 1.0) >>>
@@ -18,16 +26,76 @@ const waterAlpha = 0.85; // <<< Set desired base water transparency (0.0 to 1.0)
 const chaseCameraOffset = new THREE.Vector3(0, 45, 15); // Still used for the 'Overhead' view logic
 const cameraLerpFactor = 0.08;
 const thirdPersonOffset = new THREE.Vector3(0, 15, 30); // Third-person camera offset
-// Boat Physics
-const boatScale = 2.0; // <<< REVERTED Boat scale back to original size >>>
-const maxSpeed = 15.0 * terrainScale / 10;
-const accelerationRate = 10.0 * terrainScale / 10;
-const decelerationRate = 8.0 * terrainScale / 10;
-const turnRate = 1.0 * Math.PI / 180 * 60; // Radians per second
-// Collision
-const collisionCheckDistance = 5.0 * boatScale; // How far ahead to check for collision (scales with boat)
-const collisionDamping = 0.2; // Factor to reduce speed on collision (e.g., 0.2 = 80% reduction)
-const collisionNudge = 0.01; // Tiny push away from wall to prevent sticking
+const springArmPivotHeight = 3.0;    // Third-person arm starts this far above the boat (clear of the hull)
+const springArmMargin = 1.0;         // Gap kept between the camera and terrain blocking the arm
+const springArmMinLength = 4.0;      // Never pull the camera closer than this to the pivot
+const springArmReturnRate = 1.5;     // Per second, how quickly the arm extends again once unblocked
+const firstPersonEyeOffset = new THREE.Vector3(0, 0.1, -0.25); // Eye inside the rower's head (head-local, before boatScale)
+const firstPersonNear = 0.05;       // Near plane close enough for the hands and oar handles
+const firstPersonFar = 500 * terrainScale; // Covers the whole terrain; keeps far/near at 1e5 so the depth buffer holds up
+const firstPersonLookDown = 0.12;   // Radians, looks slightly down over the bow so the oars stay in view
+const firstPersonBobHeight = 0.04;  // Head-local units the eye rises and dips per stroke at full rowing
+const firstPersonBobLean = 0.08;    // Head-local units the eye leans forward/back per stroke at full rowing
+const firstPersonBobPitch = 0.03;   // Radians of nod per stroke at full rowing
+const cinematicPathUrl = 'assets/flythrough.json'; // Keyframed flythrough for the 'Cinematic' camera (world coordinates)
+const orbitMinDistance = 1.0 * terrainScale;   // Closest the orbit camera may zoom to its target
+const orbitMaxDistance = 60 * terrainScale;    // Furthest the orbit camera may zoom out
+const orbitMaxPan = 10 * terrainScale;         // How far the orbit target may be panned away from the boat
+const orbitMinClearance = 0.5 * terrainScale;  // Minimum height of the orbit camera above the water and terrain
+const orbitMaxPolarAngle = Math.PI * 0.48;     // Stop just short of the horizon (0 = straight down on the target)
+// Minimap
+const minimapSizeFraction = 0.28;      // Minimap side as a fraction of the window height
+const minimapMargin = 12;              // CSS pixels from the bottom-right corner
+const minimapBorder = 2;               // CSS pixels of frame around the map
+const minimapLayer = 1;                // Render layer for map-only objects (boat arrow, fog of war)
+const minimapArrowLength = 6 * terrainScale; // Boat heading arrow length (world units)
+const fogOfWarResolution = 128;        // Explored-area grid cells along each side of the terrain
+const fogOfWarRevealRadius = 4 * terrainScale; // World units revealed around the boat
+// River Current
+const flowCyclePeriod = 4.0;                           // Seconds per flow-map advection cycle in the water shader
+// Wind
+const windMaxSpeed = 20.0 * terrainScale / 10;  // Air speed at strength 1 (world units/s)
+const windGustPeriod = 7.0;                     // Seconds, slowest gust cycle (faster ones layered on top)
+const treeSwayAmount = 0.04 * terrainScale;     // Tree crown displacement at full wind (world units)
+const treeSwayFrequency = 1.3;                  // Radians per second scale of the crown flutter
+const windRippleDrift = 0.15;                   // Fraction of the wind velocity added to the water pattern advection
+// Gamepad (standard mapping)
+const gamepadThrottleButton = 7;  // Right trigger: row forward
+const gamepadReverseButton = 6;   // Left trigger: back water
+const gamepadSteerAxis = 0;       // Left stick X
+// Key Bindings (event.key, lower case; rebindable in the GUI and saved to localStorage)
+const keyBindingsStorageKey = 'riverScene.keyBindings';
+const defaultKeyBindings = {
+    accelerate: 'w', reverse: 's', turnLeft: 'a', turnRight: 'd', // Player one
+    p2Accelerate: 'arrowup', p2Reverse: 'arrowdown', p2TurnLeft: 'arrowleft', p2TurnRight: 'arrowright', // Player two
+    switchCamera: 'c', pause: 'p', toggleMinimap: 'm'
+};
+// Replay (input recording of the fixed-step physics)
+const replayFormatVersion = 1;
+const replayControlPrecision = 1000;   // Throttle/steer are rounded to 1/1000 when recorded (the live run uses the rounded values too)
+const replayCheckpointInterval = 600;  // Steps between cached world snapshots, so scrubbing back doesn't re-simulate from the start
+// Touch Controls
+const touchJoystickRadius = 60;        // CSS pixels, full deflection of the virtual stick
+const touchZoomMin = 0.4;              // Pinch limits for the chase camera distance (multiplier on its offset)
+const touchZoomMax = 2.5;
+// Split Screen
+const maxBoats = 2;                    // Player one, plus player two while split screen is on
+const playerTwoSpawnDistance = 12;     // World units behind player one where player two is launched
+const playerTwoBodyColor = 0xcc2222;   // Player two's rower, so the boats can be told apart
+// Waves (gameplay wave height, relative to WATER_LEVEL_Y)
+const waveComponents = [ // Sum of sines: direction (XZ), wavelength and amplitude in world units, phase speed in units/s
+    { dirX: 1.0, dirZ: 0.3, wavelength: 6.0 * terrainScale, amplitude: 0.35, speed: 0.6 * terrainScale },
+    { dirX: -0.4, dirZ: 1.0, wavelength: 3.1 * terrainScale, amplitude: 0.2, speed: 0.45 * terrainScale },
+    { dirX: 0.7, dirZ: -0.7, wavelength: 2.4 * terrainScale, amplitude: 0.1, speed: 0.3 * terrainScale } // Keep above ~2x the water mesh vertex spacing
+];
+const waveBankFadeDistance = 0.08; // UV0 edge distance over which wave amplitude fades to zero at the banks (same units as the fragment shader's distToEdge)
+// Buoyancy (hull rides the waves via a spring towards the sampled water surface)
+const buoyancyStiffness = 40.0; // Spring strength pulling heave/pitch/roll towards the water surface
+const buoyancyDamping = 9.0;    // Spring damping (~critically damped with the stiffness above)
+const rowingPitchAmount = 0.03; // Radians the bow lifts on each pull stroke at full rowing speed
+const rowingRollAmount = 0.015; // Radians of side-to-side rock per stroke at full rowing speed
+const turnRollFactor = 0.04;    // Radians of heel per (rad/s of turn * unit/s of speed / maxSpeed)
+const maxBuoyancyTilt = 0.35;   // Radians, clamp on pitch and roll
 // Animation
 const rowingSpeedFactor = 8;
 const maxRowingAngle = Math.PI / 3; // Increased angle for more dramatic motion
@@ -39,9 +107,26 @@ const daySunIntensity = 10;    // <<< Intensity for the DirectionalLight matchin
 const fogColor = 0xacdbfc; // Low saturation bright blue (Fog blends *towards* this color) (from Sky snippet)
 const fogNear = 0 * terrainScale;
 const fogFar = 120 * terrainScale; // <<< INCREASED Fog Far Distance >>>
-// FPS Lock
-const targetFrameRate = 30;
-const targetFrameDuration = 1 / targetFrameRate; // Seconds
+// Water Reflections
+const reflectionResolutionScale = 0.5; // Reflection render target size relative to the canvas
+const reflectionFresnelBias = 0.05;    // Reflectivity looking straight down (Fresnel F0)
+const reflectionStrength = 0.8;        // Max blend of the reflection over the stylized water color at grazing angles
+const reflectionDistortion = 0.015;    // Screen-space wobble of the reflection from the water pattern
+const reflectionClipBias = 0.003;      // Pushes the oblique clip plane slightly so the waterline doesn't flicker
+// Water Depth (scene depth prepass)
+const shoreDepthToEdge = 0.04;       // UV-edge-equivalent per world unit of water depth, so the shoreline foam/glow keep their tuning
+const depthAbsorption = new THREE.Vector3(0.35, 0.12, 0.08); // Per world unit, red goes first so deep water turns blue
+const depthOpacityFalloff = 0.25;    // Per world unit, how fast water goes from uAlpha to opaque with depth
+// Wake (ripple rings left by the hull and the oar blades)
+const wakeSampleInterval = 0.15;                  // Seconds between hull wake rings while moving
+const wakeMinSpeed = 1.0 * terrainScale / 10;     // Below this (relative to the water) the hull leaves no wake
+const wakeLifetime = 3.0;                         // Seconds a ring stays visible
+const wakeRingSpeed = 0.6 * terrainScale;         // Ring expansion speed; slower than the boat, so the rings form a V
+const wakeRingWidth = 0.15 * terrainScale;        // Width of each ring
+const oarSplashStrength = 0.8;                    // Ring strength when a blade catches the water at full rowing speed
+// Ring buffer size (uniform array length in the water shader): room for every ring still alive from every
+// boat, i.e. hull rings every wakeSampleInterval plus two oar splashes per stroke (rowingSpeedFactor / 2π strokes/s)
+const wakeMaxPoints = Math.ceil(wakeLifetime * (1 / wakeSampleInterval + 2 * rowingSpeedFactor / (2 * Math.PI)) * maxBoats);
 // Horizon/Background Color (Matches Fog) <<< ADDED from Sky snippet >>>
 const horizonColor = fogColor; // Used for scene background
 // <<< Hardcoded Sky Values from Sky snippet >>>
@@ -54,6 +139,59 @@ const skySettings = {
    azimuth: 0, // degrees
    exposure: 1.0 // Initial exposure
 };
+// Night (moon, stars, lantern)
+const starCount = 1500;
+const starFieldRadius = 200000;      // Inside the sky dome (scaled 450000) and the camera far plane (see fitBackdropToCamera)
+const moonLightColor = 0x8899cc;
+const moonLightIntensity = 0.8;      // DirectionalLight intensity at full night
+const moonDiscSize = 6000;           // Moon disc radius at starFieldRadius
+const lanternColor = 0xffb35c;       // Warm oil-lamp color
+const lanternIntensity = 3000;       // Candela (physically based lights, decay 2) - lights the banks ~50 units away
+const lanternRange = 150;            // Light cutoff distance
+// Weather
+const weatherTransitionSeconds = 4.0; // Time constant for blending from one preset to the next
+const weatherPresets = { // Modifiers on top of the time of day
+    'Clear':     { fogNear: fogNear, fogFar: fogFar,             overcast: 0.0,  turbidity: 0,  rayleighScale: 1.0, sunScale: 1.0,  ambientScale: 1.0, exposureScale: 1.0, rain: 0.0 },
+    'Overcast':  { fogNear: fogNear, fogFar: 70 * terrainScale,  overcast: 0.7,  turbidity: 8,  rayleighScale: 0.4, sunScale: 0.25, ambientScale: 0.9, exposureScale: 0.9, rain: 0.0 },
+    'Rain':      { fogNear: fogNear, fogFar: 45 * terrainScale,  overcast: 0.85, turbidity: 12, rayleighScale: 0.3, sunScale: 0.1,  ambientScale: 0.8, exposureScale: 0.8, rain: 1.0 },
+    'Heavy Fog': { fogNear: fogNear, fogFar: 15 * terrainScale,  overcast: 0.9,  turbidity: 15, rayleighScale: 0.3, sunScale: 0.15, ambientScale: 0.9, exposureScale: 0.9, rain: 0.0 }
+};
+const overcastColor = 0x9aa3ab;                 // Cloud grey that fog and sky blend towards (tinted by the time of day)
+const cloudDomeRadius = 150000;                 // Inside the star field so clouds hide the stars
+const rainDropCount = 6000;
+const rainAreaSize = 12 * terrainScale;         // Rain box side around the camera (XZ)
+const rainHeight = 8 * terrainScale;            // Rain box height around the camera
+const rainFallSpeed = 4 * terrainScale;         // Units per second
+const rainStreakLength = 0.12 * terrainScale;   // Length of each drop streak
+const rainRippleCellSize = 0.6 * terrainScale;  // One rain ripple per cell (per layer) on the water
+const rainRippleRate = 1.2;                     // Ripples per second per cell
+// Time of Day
+const dayLengthSeconds = 240;  // Real seconds per full 24h cycle (GUI adjustable)
+const initialTimeOfDay = 12.0; // Hours (0-24); noon reproduces the hardcoded skySettings look
+const sunRiseHour = 6.0;       // Sun crosses the horizon going up (and going down 12h later)
+// Appearance keyframes by hour, interpolated linearly (wrapping at 24). Sun elevation/azimuth are
+// computed from the hour instead (see evaluateTimeOfDay); noon peaks at skySettings.elevation.
+const nightKeyframe = {
+    turbidity: 0.5, rayleigh: 0.05, mieCoefficient: 0.005, mieDirectionalG: 0.8, exposure: 0.35,
+    sunColor: 0x000000, sunIntensity: 0, ambientColor: 0x334466, ambientIntensity: 0.25,
+    fogColor: 0x0a1022, waterLight: 0x2a3550
+};
+const timeOfDayKeyframes = [
+    { hour: 0.0, ...nightKeyframe },
+    { hour: 4.5, ...nightKeyframe },
+    { hour: 6.0, turbidity: 4.0, rayleigh: 2.5, mieCoefficient: 0.01, mieDirectionalG: 0.85, exposure: 0.6, // Dawn
+      sunColor: 0xff9a5a, sunIntensity: 3, ambientColor: 0x8a7a9a, ambientIntensity: 0.6, fogColor: 0xd9a37f, waterLight: 0x8a8fa8 },
+    { hour: 8.0, turbidity: 1.0, rayleigh: 0.8, mieCoefficient: 0.05, mieDirectionalG: 0.9, exposure: 0.85,
+      sunColor: 0xffe0b8, sunIntensity: 7, ambientColor: 0xe0e8ff, ambientIntensity: 1.0, fogColor: 0xb8d4ee, waterLight: 0xe6ecf5 },
+    { hour: 12.0, turbidity: skySettings.turbidity, rayleigh: skySettings.rayleigh, mieCoefficient: skySettings.mieCoefficient, // Noon
+      mieDirectionalG: skySettings.mieDirectionalG, exposure: skySettings.exposure,
+      sunColor: 0xffffff, sunIntensity: daySunIntensity, ambientColor: 0xffffff, ambientIntensity: dayAmbientIntensity, fogColor: fogColor, waterLight: 0xffffff },
+    { hour: 16.0, turbidity: 1.0, rayleigh: 0.8, mieCoefficient: 0.05, mieDirectionalG: 0.9, exposure: 0.85,
+      sunColor: 0xffe0b8, sunIntensity: 7, ambientColor: 0xe0e8ff, ambientIntensity: 1.0, fogColor: 0xb8d4ee, waterLight: 0xe6ecf5 },
+    { hour: 18.0, turbidity: 5.0, rayleigh: 3.0, mieCoefficient: 0.012, mieDirectionalG: 0.88, exposure: 0.6, // Dusk
+      sunColor: 0xff7a3a, sunIntensity: 3, ambientColor: 0x9a6a7a, ambientIntensity: 0.55, fogColor: 0xc9806a, waterLight: 0x9a8598 },
+    { hour: 19.5, ...nightKeyframe }
+];
 
 // Add texture loader
 const textureLoader = new THREE.TextureLoader();
@@ -83,11 +221,10 @@ const woodTexture = textureLoader.load('assets/woodwall.jpg',
 );
 
 // --- State Variables ---
-// Boat
-let currentSpeed = 0.0;
-let isAccelerating = false;
-let isTurningLeft = false;
-let isTurningRight = false;
+// Boats (per-boat physics, input and animation state lives in createBoatState)
+let playerOne; // Wraps 'boat' below
+let playerTwo = null; // Created the first time split screen is enabled
+const boatStates = []; // Boats currently on the river (player two only while split screen is on)
 // General
 let waterCenter = new THREE.Vector3();
 let boat;
@@ -95,25 +232,40 @@ let waterMaterial; // Will hold the ShaderMaterial or fallback
 let riverModel;
 let boundaryMesh; // For collision detection
 let waterMesh; // Reference to the loaded water mesh
+let riverFlowField = null; // Baked river current grid (null until the water mesh is processed)
 let sky; // <<< ADDED Reference to the Sky object >>>
 let sun; // <<< ADDED Vector3 representing sun direction for Sky and DirectionalLight >>>
 // Animation Refs
 let leftUpperArmRef, rightUpperArmRef;
 let leftOarRef, rightOarRef;
-// Collision Detection
-const raycaster = new THREE.Raycaster();
-const boatForward = new THREE.Vector3(0, 0, -1); // Local forward
-const rayCheckPoints = [
-     new THREE.Vector3(0, 0, -1.5 * boatScale),  // Front center (scaled with boat)
-     new THREE.Vector3(0.8 * boatScale, 0, -1.2 * boatScale), // Front right (scaled with boat)
-     new THREE.Vector3(-0.8 * boatScale, 0, -1.2 * boatScale) // Front left (scaled with boat)
-];
 // GUI State
 const guiState = {
     cameraMode: 'Overhead', // Only camera mode control remains
+    waveGeometry: true, // Displace the water surface in the vertex shader (and let the boat ride it)
+    reflections: true, // Planar reflection pass for the water (disable on slow machines)
+    timeOfDay: initialTimeOfDay, // Hours (0-24), advanced by the day/night cycle unless pinned
+    dayLengthSeconds: dayLengthSeconds, // Real seconds per 24h
+    pinTime: false, // Freeze the clock at the current timeOfDay
+    lantern: 'Auto', // Boat lantern: 'Auto' (lit after dark), 'On' or 'Off'
+    weather: 'Clear', // One of weatherPresets; the scene blends towards it
+    windDirection: 45, // Degrees the wind blows towards (0 = north/-Z, 90 = east/+X)
+    windStrength: 0.3, // 0 = calm, 1 = windMaxSpeed
+    windGusts: 0.4, // 0 = steady, 1 = strong gusts
+    cinematicDuration: 45, // Seconds for one pass of the flythrough (overridden by the path file)
+    cinematicEasing: 'easeInOut', // One of cinematicEasings
+    cinematicLoop: true, // Keep replaying (attract mode) instead of returning to the previous camera
+    minimap: true, // Picture-in-picture map of the whole river
+    splitScreen: false, // Two boats, left half WASD / right half arrow keys
+    gamepadDeadzone: 0.15, // Stick/trigger values below this are ignored, the rest rescaled to 0..1
+    gamepadInvertSteering: false,
+    gamepadInvertThrottle: false, // Swap the triggers (left = forward, right = reverse)
+    fogOfWar: false, // Darken the parts of the map the boat hasn't explored yet
+    paused: false, // Freeze the simulation (rendering and the orbit camera keep running)
 };
 // FPS Lock
 let timeAccumulator = 0;
+let simulationTime = 0; // Seconds of physics simulated (advances by targetFrameDuration per step, so runs can be replayed)
+let sceneReady = false; // Set once asset loading settles (successfully or not)
 
 // Define camera parameters (placeholders, real values set after load)
 var cameraParams = {
@@ -123,6 +275,11 @@ var cameraParams = {
     upX: 0, upY: 1, upZ: 0
 };
 
+// Aspect ratio of one view: the full window, or half of it side by side in split screen
+function getViewAspect() {
+    return (guiState.splitScreen ? window.innerWidth / 2 : window.innerWidth) / window.innerHeight;
+}
+
 // --- Setup Camera Function ---
 function setupCamera(cameraParameters) {
     var cp = cameraParameters;
@@ -142,6 +299,10 @@ scene.fog = new THREE.Fog(fogColor, fogNear, fogFar); // Using updated fogFar
 // --- Create Cameras ---
 const camera = setupCamera(cameraParams); // Uses updated cameraParams ('Overhead' view is default 'camera')
 const thirdPersonCamera = setupCamera(cameraParams); // Uses updated cameraParams
+const orbitCamera = setupCamera(cameraParams); // 'Orbit' inspection view, driven by OrbitControls
+const firstPersonCamera = setupCamera({ ...cameraParams, near: firstPersonNear, far: firstPersonFar }); // 'First Person' view from the rower's head
+const cinematicCamera = setupCamera(cameraParams); // 'Cinematic' flythrough along the authored spline
+const playerTwoCamera = setupCamera(cameraParams); // Player two's chase camera (right half in split screen)
 let currentCamera = camera; // Start with 'Overhead' view
 
 // --- Create Renderer ---
@@ -154,6 +315,19 @@ renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = skySettings.exposure; // Set initial exposure
 document.body.appendChild(renderer.domElement);
 
+// --- Orbit Controls ('Orbit' camera mode) ---
+// The target follows the boat (see updateOrbitCamera); the controls are only enabled while 'Orbit' is active.
+const orbitControls = new OrbitControls(orbitCamera, renderer.domElement);
+orbitControls.enabled = false;
+orbitControls.enableDamping = true;
+orbitControls.minDistance = orbitMinDistance;
+orbitControls.maxDistance = orbitMaxDistance;
+orbitControls.maxPolarAngle = orbitMaxPolarAngle;
+orbitControls.screenSpacePanning = false; // Pan along the water plane
+const orbitLastBoatPosition = new THREE.Vector3();
+const orbitFollowDelta = new THREE.Vector3();
+const orbitPanOffset = new THREE.Vector3();
+
 // --- Sky Setup (from Sky snippet) ---
 sky = new Sky();
 sky.scale.setScalar( 450000 ); // Keep sky dome large
@@ -163,6 +337,252 @@ sky.renderOrder = -1; // Render sky early
 // Sun direction vector (will be updated by updateSkyAndSun)
 sun = new THREE.Vector3();
 
+// --- Night Sky: Stars and Moon ---
+// Drawn just inside the Sky dome and faded in by updateNightSky as the sun goes down
+const nightSky = new THREE.Group(); nightSky.name = "nightSky";
+scene.add(nightSky);
+const starPositions = new Float32Array(starCount * 3);
+const starColors = new Float32Array(starCount * 3);
+for (let i = 0; i < starCount; i++) {
+    // Uniform on the sphere, upper hemisphere only (plus a sliver below the horizon for the reflection)
+    const y = THREE.MathUtils.randFloat(-0.05, 1);
+    const angle = Math.random() * Math.PI * 2;
+    const ring = Math.sqrt(1 - y * y);
+    starPositions[i * 3] = Math.cos(angle) * ring * starFieldRadius;
+    starPositions[i * 3 + 1] = y * starFieldRadius;
+    starPositions[i * 3 + 2] = Math.sin(angle) * ring * starFieldRadius;
+    const brightness = THREE.MathUtils.randFloat(0.4, 1.0);
+    starColors[i * 3] = brightness; starColors[i * 3 + 1] = brightness; starColors[i * 3 + 2] = Math.min(1, brightness * 1.1);
+}
+const starGeometry = new THREE.BufferGeometry();
+starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+starGeometry.setAttribute('color', new THREE.BufferAttribute(starColors, 3));
+const starMaterial = new THREE.PointsMaterial({
+    size: 2, sizeAttenuation: false, vertexColors: true,
+    transparent: true, opacity: 0, depthWrite: false, fog: false
+});
+const stars = new THREE.Points(starGeometry, starMaterial); stars.name = "stars";
+nightSky.add(stars);
+const moonMaterial = new THREE.MeshBasicMaterial({ color: 0xf2f4ff, transparent: true, opacity: 0, depthWrite: false, fog: false });
+const moon = new THREE.Mesh(new THREE.CircleGeometry(moonDiscSize, 32), moonMaterial); moon.name = "moon";
+nightSky.add(moon);
+const moonDirection = new THREE.Vector3(); // Towards the moon (opposite the sun)
+const moonBack = new THREE.Vector3(0, 0, -1); // Back of the moon disc, turned towards moonDirection
+const worldOrigin = new THREE.Vector3();
+
+// The stars, moon and cloud dome are drawn far out, which only fits inside the default far plane. For a
+// camera with a shorter one (first person) they are shrunk around the camera instead, which looks the same.
+const backdropCenter = new THREE.Vector3();
+function fitBackdropToCamera(viewCamera) {
+    const scale = Math.min(1, viewCamera.far * 0.8 / starFieldRadius);
+    if (scale < 1) viewCamera.getWorldPosition(backdropCenter);
+    else backdropCenter.set(0, 0, 0);
+    nightSky.scale.setScalar(scale);
+    nightSky.position.copy(backdropCenter);
+    cloudDome.scale.setScalar(scale);
+    cloudDome.position.copy(backdropCenter);
+}
+
+// --- Weather: Cloud Dome and Rain ---
+// Cloud cover is a fog-colored dome just inside the star field whose opacity follows the weather's
+// overcast amount. Rain is a fixed set of streaks animated entirely in the vertex shader: each drop
+// falls and wraps inside a box that follows the camera, so no per-frame CPU work is needed.
+const cloudDomeMaterial = new THREE.MeshBasicMaterial({
+    color: overcastColor, side: THREE.BackSide, transparent: true, opacity: 0, depthWrite: false, fog: false
+});
+const cloudDome = new THREE.Mesh(new THREE.SphereGeometry(cloudDomeRadius, 32, 16), cloudDomeMaterial);
+cloudDome.name = "cloudDome";
+cloudDome.renderOrder = 1; // After the sky, stars and moon
+scene.add(cloudDome);
+
+const rainGeometry = new THREE.BufferGeometry();
+const rainSeeds = new Float32Array(rainDropCount * 2 * 3); // Each drop = head + tail vertex at the same seed
+const rainEnds = new Float32Array(rainDropCount * 2);
+for (let i = 0; i < rainDropCount; i++) {
+    const seedX = Math.random() * rainAreaSize, seedY = Math.random() * rainHeight, seedZ = Math.random() * rainAreaSize;
+    for (let end = 0; end < 2; end++) {
+        const v = i * 2 + end;
+        rainSeeds[v * 3] = seedX; rainSeeds[v * 3 + 1] = seedY; rainSeeds[v * 3 + 2] = seedZ;
+        rainEnds[v] = end;
+    }
+}
+rainGeometry.setAttribute('position', new THREE.BufferAttribute(rainSeeds, 3));
+rainGeometry.setAttribute('aEnd', new THREE.BufferAttribute(rainEnds, 1));
+const rainMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+        time: { value: 0 },
+        rainCenter: { value: new THREE.Vector3() },  // Active camera position
+        rainOpacity: { value: 0 },
+        rainColor: { value: new THREE.Color(0xaab4c0) },
+        rainDrift: { value: new THREE.Vector2() },   // Horizontal drift (world units/s)
+        waterLevel: { value: WATER_LEVEL_Y }
+    },
+    vertexShader: `
+        attribute float aEnd; // 0 = head, 1 = tail
+        uniform float time;
+        uniform vec3 rainCenter;
+        uniform vec2 rainDrift;
+        varying float vEnd;
+        varying float vWorldY;
+        void main() {
+            vec3 fall = vec3(rainDrift.x, -${rainFallSpeed.toFixed(1)}, rainDrift.y);
+            vec3 p = position + fall * time;
+            // Wrap the seed into the box around the camera
+            vec3 boxSize = vec3(${rainAreaSize.toFixed(1)}, ${rainHeight.toFixed(1)}, ${rainAreaSize.toFixed(1)});
+            vec3 world = rainCenter + mod(p - rainCenter, boxSize) - boxSize * 0.5;
+            world -= normalize(fall) * aEnd * ${rainStreakLength.toFixed(2)}; // Tail trails behind the head
+            vEnd = aEnd;
+            vWorldY = world.y;
+            gl_Position = projectionMatrix * viewMatrix * vec4(world, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform float rainOpacity;
+        uniform vec3 rainColor;
+        uniform float waterLevel;
+        varying float vEnd;
+        varying float vWorldY;
+        void main() {
+            if (vWorldY < waterLevel) discard; // No rain under the surface
+            gl_FragColor = vec4(rainColor, rainOpacity * (1.0 - vEnd * 0.8));
+        }
+    `,
+    transparent: true,
+    depthWrite: false
+});
+const rainEffect = new THREE.LineSegments(rainGeometry, rainMaterial);
+rainEffect.name = "rain";
+rainEffect.frustumCulled = false; // Positions only exist in the shader
+rainEffect.visible = false;
+scene.add(rainEffect);
+var moonLight = new THREE.DirectionalLight(moonLightColor, 0);
+scene.add(moonLight);
+scene.add(moonLight.target);
+
+// --- Extra Render Passes ---
+// Renders the scene once more for a secondary view (depth prepass, reflection, minimap): with `hidden`
+// objects hidden, optionally another fog / override material / render target, and without re-rendering the
+// shadow maps (the main pass keeps them current). Everything it changes is put back afterwards.
+function renderExtraPass(passCamera, { hidden = [], fog = scene.fog, overrideMaterial = null, renderTarget } = {}) {
+    const previousRenderTarget = renderer.getRenderTarget();
+    const previousShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const previousFog = scene.fog, previousOverrideMaterial = scene.overrideMaterial;
+    const wasVisible = hidden.map(object => object.visible); // Weather, night and GUI toggles decide these
+    hidden.forEach(object => { object.visible = false; });
+    scene.fog = fog;
+    scene.overrideMaterial = overrideMaterial;
+    renderer.shadowMap.autoUpdate = false;
+    if (renderTarget !== undefined) renderer.setRenderTarget(renderTarget);
+    renderer.render(scene, passCamera);
+    if (renderTarget !== undefined) renderer.setRenderTarget(previousRenderTarget);
+    renderer.shadowMap.autoUpdate = previousShadowAutoUpdate;
+    scene.fog = previousFog;
+    scene.overrideMaterial = previousOverrideMaterial;
+    hidden.forEach((object, index) => { object.visible = wasVisible[index]; });
+}
+
+// --- Scene Depth Prepass ---
+// Depth of everything except the water (and sky) from the viewing camera, so the water shader
+// can measure how deep the water is at each fragment: shoreline foam, absorption and opacity.
+const depthRenderTarget = new THREE.WebGLRenderTarget(window.innerWidth, window.innerHeight, {
+    depthTexture: new THREE.DepthTexture(window.innerWidth, window.innerHeight),
+    depthBuffer: true
+});
+depthRenderTarget.texture.generateMipmaps = false;
+const depthPrepassMaterial = new THREE.MeshBasicMaterial({ colorWrite: false }); // Depth only
+
+function renderDepthPrepass(sourceCamera) {
+    renderExtraPass(sourceCamera, {
+        // Stars/moon are "at infinity" and points don't take the override material
+        hidden: [waterMesh, sky, nightSky, cloudDome, rainEffect],
+        overrideMaterial: depthPrepassMaterial,
+        renderTarget: depthRenderTarget
+    });
+}
+
+// --- Boat Wake ---
+// Ring buffer of ripple sources (world X, world Z, spawn time, strength) uploaded to the water shader,
+// which draws an expanding ring for each. Rings dropped behind the moving hull add up to a V wake.
+const wakePoints = Array.from({ length: wakeMaxPoints }, () => new THREE.Vector4(0, 0, -1000, 0));
+let wakeNextIndex = 0;
+
+function emitWakePoint(x, z, time, strength) {
+    wakePoints[wakeNextIndex].set(x, z, time, strength);
+    wakeNextIndex = (wakeNextIndex + 1) % wakeMaxPoints;
+}
+
+// Drops every ring (replays rewind simulationTime, so old rings would otherwise come back once time catches up)
+function clearWakePoints() {
+    for (const point of wakePoints) point.set(0, 0, -1000, 0);
+    wakeNextIndex = 0;
+}
+
+// --- Planar Water Reflection ---
+// A mirror of the viewing camera about WATER_LEVEL_Y renders the scene (minus the water) into
+// reflectionRenderTarget; the water shader projects it back with reflectionTextureMatrix.
+const reflectionRenderTarget = new THREE.WebGLRenderTarget(
+    Math.max(1, Math.floor(window.innerWidth * reflectionResolutionScale)),
+    Math.max(1, Math.floor(window.innerHeight * reflectionResolutionScale))
+);
+const reflectionCamera = new THREE.PerspectiveCamera();
+const reflectionTextureMatrix = new THREE.Matrix4();
+const reflectionPlane = new THREE.Plane();
+const reflectionClipPlane = new THREE.Vector4();
+const reflectionQ = new THREE.Vector4();
+const reflectionNormal = new THREE.Vector3(0, 1, 0);
+const reflectionCameraPosition = new THREE.Vector3();
+const reflectionLookAt = new THREE.Vector3();
+const reflectionRotation = new THREE.Matrix4();
+
+function renderWaterReflection(sourceCamera) {
+    sourceCamera.updateMatrixWorld();
+    reflectionCameraPosition.setFromMatrixPosition(sourceCamera.matrixWorld);
+    if (reflectionCameraPosition.y <= WATER_LEVEL_Y) return false; // Under the surface: nothing to mirror
+
+    // Mirror position, look-at point and up vector about the water plane
+    reflectionRotation.extractRotation(sourceCamera.matrixWorld);
+    reflectionLookAt.set(0, 0, -1).applyMatrix4(reflectionRotation).add(reflectionCameraPosition);
+    reflectionLookAt.y = 2 * WATER_LEVEL_Y - reflectionLookAt.y;
+    reflectionCamera.position.copy(reflectionCameraPosition);
+    reflectionCamera.position.y = 2 * WATER_LEVEL_Y - reflectionCamera.position.y;
+    reflectionCamera.up.set(0, 1, 0).applyMatrix4(reflectionRotation).reflect(reflectionNormal);
+    reflectionCamera.lookAt(reflectionLookAt);
+    reflectionCamera.far = sourceCamera.far; // Used in WebGLBackground
+    reflectionCamera.updateMatrixWorld();
+    reflectionCamera.projectionMatrix.copy(sourceCamera.projectionMatrix);
+
+    // World position -> reflection texture coordinates (used by the water shader)
+    reflectionTextureMatrix.set(
+        0.5, 0.0, 0.0, 0.5,
+        0.0, 0.5, 0.0, 0.5,
+        0.0, 0.0, 0.5, 0.5,
+        0.0, 0.0, 0.0, 1.0
+    );
+    reflectionTextureMatrix.multiply(reflectionCamera.projectionMatrix);
+    reflectionTextureMatrix.multiply(reflectionCamera.matrixWorldInverse);
+
+    // Oblique near plane at the water surface so nothing below it ends up in the reflection
+    // (Lengyel, "Oblique View Frustum Depth Projection and Clipping", as in three's Reflector)
+    reflectionPlane.set(reflectionNormal, -WATER_LEVEL_Y).applyMatrix4(reflectionCamera.matrixWorldInverse);
+    reflectionClipPlane.set(reflectionPlane.normal.x, reflectionPlane.normal.y, reflectionPlane.normal.z, reflectionPlane.constant);
+    const projection = reflectionCamera.projectionMatrix.elements;
+    reflectionQ.set(
+        (Math.sign(reflectionClipPlane.x) + projection[8]) / projection[0],
+        (Math.sign(reflectionClipPlane.y) + projection[9]) / projection[5],
+        -1.0,
+        (1.0 + projection[10]) / projection[14]
+    );
+    reflectionClipPlane.multiplyScalar(2.0 / reflectionClipPlane.dot(reflectionQ));
+    projection[2] = reflectionClipPlane.x;
+    projection[6] = reflectionClipPlane.y;
+    projection[10] = reflectionClipPlane.z + 1.0 - reflectionClipBias;
+    projection[14] = reflectionClipPlane.w;
+
+    // Render without the water itself (the rain follows the real camera, it would hang in the air when mirrored)
+    renderExtraPass(reflectionCamera, { hidden: [waterMesh, rainEffect], renderTarget: reflectionRenderTarget });
+    return true;
+}
+
 // --- Axes Helper ---
 // var ah = new THREE.AxesHelper(50 * terrainScale); // Removed axes helper
 // scene.add(ah); // Removed axes helper
@@ -171,7 +591,8 @@ sun = new THREE.Vector3();
 // [2025-02-28] Keep all the comments that were there in the original files.
 function createRaftBufferGeometry() {
     const geom = new THREE.BufferGeometry();
-    const bottomVecs = [ new THREE.Vector3(-1.5, 0, 1), new THREE.Vector3(0, 0, 1), new THREE.Vector3(1.5, 0, 1), new THREE.Vector3(-2, 0, 0), new THREE.Vector3(0, -0.22, 0), new THREE.Vector3(2, 0, 0), new THREE.Vector3(-1.5, 0, -1), new THREE.Vector3(0, 0, -1), new THREE.Vector3(1.5, 0, -1) ];
+    const L = hullHalfLength, W = hullHalfWidth; // Built along X (keel), rotated onto Z by the mesh
+    const bottomVecs = [ new THREE.Vector3(-0.75 * L, 0, W), new THREE.Vector3(0, 0, W), new THREE.Vector3(0.75 * L, 0, W), new THREE.Vector3(-L, 0, 0), new THREE.Vector3(0, -0.22, 0), new THREE.Vector3(L, 0, 0), new THREE.Vector3(-0.75 * L, 0, -W), new THREE.Vector3(0, 0, -W), new THREE.Vector3(0.75 * L, 0, -W) ];
     const topVecs = bottomVecs.map(v => new THREE.Vector3(v.x, v.y + 0.23, v.z));
     const shrinkIndicesTop = [0, 2, 6, 8]; const shrinkIndicesBottom = [0, 2, 6, 8]; const shrinkFactor = 0.8;
     shrinkIndicesTop.forEach((topIndex, idx) => { const bottomIndex = shrinkIndicesBottom[idx]; topVecs[topIndex].x *= shrinkFactor; topVecs[topIndex].z *= shrinkFactor; bottomVecs[bottomIndex].x *= shrinkFactor; bottomVecs[bottomIndex].z *= shrinkFactor; });
@@ -192,6 +613,9 @@ function createRaftBufferGeometry() {
 // -----------------------------
 // [2025-02-28] Keep all the comments that were there in the original files.
 boat = new THREE.Object3D(); boat.name = "boat";
+// Hull carries heave/pitch/roll from buoyancy so 'boat' itself stays level (physics uses its yaw only)
+const boatHull = new THREE.Object3D(); boatHull.name = "boatHull";
+boat.add(boatHull);
 const raftSideMaterial = new THREE.MeshStandardMaterial({ 
     map: woodTexture,
     metalness: 0.2, 
@@ -210,11 +634,11 @@ const raftMaterials = [raftSideMaterial, raftTopMaterial];
 const raftGeometry = createRaftBufferGeometry();
 const raftMesh = new THREE.Mesh(raftGeometry, raftMaterials); raftMesh.name = "raftMesh";
 raftMesh.rotation.y = Math.PI / 2;
-boat.add(raftMesh);
+boatHull.add(raftMesh);
 const person = new THREE.Object3D(); person.name = "person";
 const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x0000FF }); const headMaterial = new THREE.MeshPhongMaterial({ color: 0xFFC0CB });
 const bodyGeom = new THREE.SphereGeometry(0.6, 16, 16); const body = new THREE.Mesh(bodyGeom, bodyMaterial); body.scale.set(1, 1.8, 1); body.position.y = 0.6 * 1.8 / 2; person.add(body);
-const headGeom = new THREE.SphereGeometry(0.4, 16, 16); const head = new THREE.Mesh(headGeom, headMaterial); head.position.y = (0.6 * 1.8) + 0.4; person.add(head);
+const headGeom = new THREE.SphereGeometry(0.4, 16, 16); const head = new THREE.Mesh(headGeom, headMaterial); head.name = "head"; head.position.y = (0.6 * 1.8) + 0.4; person.add(head);
 const armGeomUpper = new THREE.CylinderGeometry(0.1, 0.1, 0.8, 8); const armGeomLower = new THREE.CylinderGeometry(0.08, 0.08, 0.6, 8);
 leftUpperArmRef = new THREE.Object3D(); leftUpperArmRef.name = "leftUpperArm"; const leftUpperArmMesh = new THREE.Mesh(armGeomUpper, bodyMaterial); leftUpperArmMesh.position.y = -0.4; leftUpperArmRef.add(leftUpperArmMesh); const leftLowerArm = new THREE.Object3D(); leftLowerArm.name = "leftLowerArm"; const leftLowerArmMesh = new THREE.Mesh(armGeomLower, bodyMaterial); leftLowerArmMesh.position.y = -0.3; leftLowerArm.add(leftLowerArmMesh); leftLowerArm.position.set(0, -0.8, 0); leftUpperArmRef.add(leftLowerArm); leftUpperArmRef.position.set(0.7, 0.6 * 1.8 * 0.7, 0); leftUpperArmRef.rotation.z = -Math.PI / 6; leftUpperArmRef.rotation.x = baseArmAngle; person.add(leftUpperArmRef);
 rightUpperArmRef = new THREE.Object3D(); rightUpperArmRef.name = "rightUpperArm"; const rightUpperArmMesh = new THREE.Mesh(armGeomUpper, bodyMaterial); rightUpperArmMesh.position.y = -0.4; rightUpperArmRef.add(rightUpperArmMesh); const rightLowerArm = new THREE.Object3D(); rightLowerArm.name = "rightLowerArm"; const rightLowerArmMesh = new THREE.Mesh(armGeomLower, bodyMaterial); rightLowerArmMesh.position.y = -0.3; rightLowerArm.add(rightLowerArmMesh); rightLowerArm.position.set(0, -0.8, 0); rightUpperArmRef.add(rightLowerArm); rightUpperArmRef.position.set(-0.7, 0.6 * 1.8 * 0.7, 0); rightUpperArmRef.rotation.z = Math.PI / 6; rightUpperArmRef.rotation.x = baseArmAngle; person.add(rightUpperArmRef);
@@ -230,10 +654,11 @@ const oarPivotY = 0.6 * 1.8 * 0.7 - 0.3; // Adjusted Y position (higher than bef
 
 // Left oar
 leftOarRef = new THREE.Object3D(); // This is the pivot point
+leftOarRef.name = "leftOar";
 const leftOar = new THREE.Mesh(oarGeometry, oarMaterial);
 leftOar.position.y = -1.5; // Center the oar shaft on the pivot
 leftOarRef.add(leftOar);
-const leftBlade = new THREE.Mesh(oarBladeGeometry, oarBladeMaterial);
+const leftBlade = new THREE.Mesh(oarBladeGeometry, oarBladeMaterial); leftBlade.name = "leftBlade";
 leftBlade.position.set(0, -1.5, 0); // Position blade relative to shaft center
 leftBlade.rotation.x = Math.PI / 2; // Rotate blade flat
 leftOarRef.add(leftBlade);
@@ -245,10 +670,11 @@ person.add(leftOarRef); // Add oar pivot to person
 
 // Right oar
 rightOarRef = new THREE.Object3D(); // This is the pivot point
+rightOarRef.name = "rightOar";
 const rightOar = new THREE.Mesh(oarGeometry, oarMaterial);
 rightOar.position.y = -1.5; // Center the oar shaft on the pivot
 rightOarRef.add(rightOar);
-const rightBlade = new THREE.Mesh(oarBladeGeometry, oarBladeMaterial);
+const rightBlade = new THREE.Mesh(oarBladeGeometry, oarBladeMaterial); rightBlade.name = "rightBlade";
 rightBlade.position.set(0, -1.5, 0); // Position blade relative to shaft center
 rightBlade.rotation.x = Math.PI / 2; // Rotate blade flat
 rightOarRef.add(rightBlade);
@@ -258,22 +684,101 @@ rightOarRef.rotation.z = Math.PI / 6; // Initial outward angle
 rightOarRef.rotation.x = baseArmAngle; // Initial downward angle
 person.add(rightOarRef); // Add oar pivot to person
 
-boat.add(person);
+boatHull.add(person);
+
+// Boat lantern: a lamp on a short pole at the stern, lit after dark (see updateNightSky)
+const lanternPoleMaterial = new THREE.MeshPhongMaterial({ color: 0x5a3a1a });
+const lanternPole = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1.6, 6), lanternPoleMaterial);
+lanternPole.position.set(0, 0.8, 1.4);
+boatHull.add(lanternPole);
+const lanternGlassMaterial = new THREE.MeshBasicMaterial({ color: lanternColor });
+const lanternGlass = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.3, 0.25), lanternGlassMaterial);
+lanternGlass.position.set(0, 1.7, 1.4);
+lanternGlass.userData.noCastShadow = true; // The light sits inside it
+boatHull.add(lanternGlass);
+const lanternLight = new THREE.PointLight(lanternColor, 0, lanternRange, 2); lanternLight.name = "lanternLight";
+lanternLight.position.copy(lanternGlass.position);
+lanternLight.castShadow = true;
+lanternLight.shadow.mapSize.set(512, 512);
+lanternLight.shadow.camera.near = 0.5;
+lanternLight.shadow.camera.far = lanternRange;
+lanternLight.shadow.bias = -0.002;
+boatHull.add(lanternLight);
 // <<< Apply the final boat scale here (Reverted to 2.0) >>>
 boat.scale.set(boatScale, boatScale, boatScale);
 scene.add(boat);
 
+// Buoyancy sample points (boat local, unscaled): bow, stern, port and starboard ends of the raft.
+// The raft is built along X and rotated 90 degrees, so its X extent (hullHalfLength) becomes the keel (Z).
+const buoyancySamplePoints = {
+    bow: new THREE.Vector3(0, 0, -hullHalfLength),
+    stern: new THREE.Vector3(0, 0, hullHalfLength),
+    port: new THREE.Vector3(-hullHalfWidth, 0, 0),
+    starboard: new THREE.Vector3(hullHalfWidth, 0, 0)
+};
+
+/**
+ * Simulation state for one boat object built like 'boat' above (or cloned from it): the parts the
+ * physics step animates, its velocities, its control inputs and its buoyancy spring.
+ */
+function createBoatState(boatObject) {
+    return {
+        ...createBoatPhysicsState(boatObject), // object, velocity, angularVelocity, currentSpeed, controls
+        hull: boatObject.getObjectByName('boatHull'),
+        head: boatObject.getObjectByName('head'),
+        leftUpperArm: boatObject.getObjectByName('leftUpperArm'),
+        rightUpperArm: boatObject.getObjectByName('rightUpperArm'),
+        leftOar: boatObject.getObjectByName('leftOar'),
+        rightOar: boatObject.getObjectByName('rightOar'),
+        leftBlade: boatObject.getObjectByName('leftBlade'),
+        rightBlade: boatObject.getObjectByName('rightBlade'),
+        lanternLight: boatObject.getObjectByName('lanternLight'),
+        input: { accelerate: false, reverse: false, turnLeft: false, turnRight: false }, // Keyboard keys held
+        // Heave (world units), pitch and roll (radians) with their rates, integrated by the buoyancy spring
+        buoyancy: { heave: 0, pitch: 0, roll: 0, heaveVelocity: 0, pitchVelocity: 0, rollVelocity: 0 },
+        previousStrokePhase: 0, // Last step's pull phase, to detect the catch (blade entry)
+        lastWakeSampleTime: -Infinity
+    };
+}
+
+// Lets go of every held boat key (after key bindings change, players join or a replay hands back control)
+function releaseBoatInputs(states = boatStates) {
+    for (const state of states) Object.keys(state.input).forEach(input => { state.input[input] = false; });
+}
+playerOne = createBoatState(boat);
+boatStates.push(playerOne);
+
 // --- Water Plane Shader Definition ---
 // [2025-02-28] Keep all the comments that were there in the original files.
 const waterVertexShader = `
   varying vec2 vUv;  // Original UV Map (from 'uv' attribute)
   varying vec2 vUv2; // Still passing as vUv2, but reading from 'uv1' attribute
+  varying vec3 vWorldPosition; // World position, used to sample the river flow map
   attribute vec2 uv1; // Expect 'uv1' attribute from BufferGeometry
 
+  uniform float time;
+  uniform float timeScale;
+  uniform float waveDisplacementEnabled; // 0.0 = flat surface, 1.0 = sum-of-sines displacement
+  uniform vec4 waveShape[WAVE_COUNT];      // xy = unit direction (XZ), z = wavenumber, w = amplitude
+  uniform float wavePhaseSpeed[WAVE_COUNT]; // Phase speed in world units per second
+  uniform float waveBankFadeDistance;      // UV0 edge distance over which waves fade out at the banks
+
   void main() {
     vUv = uv;
     vUv2 = uv1; // Pass uv1 as vUv2
-    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+
+    // Sum-of-sines height (must match getWaveHeight in main.js), faded towards the banks
+    float waveHeight = 0.0;
+    for (int i = 0; i < WAVE_COUNT; i++) {
+      float along = dot(worldPosition.xz, waveShape[i].xy);
+      waveHeight += waveShape[i].w * sin(waveShape[i].z * (along - wavePhaseSpeed[i] * timeScale * time));
+    }
+    float distToEdge = max(min(min(uv.x, 1.0 - uv.x), min(uv.y, 1.0 - uv.y)), 0.0001); // Same as the fragment shader
+    worldPosition.y += waveHeight * smoothstep(0.0, waveBankFadeDistance, distToEdge) * waveDisplacementEnabled;
+
+    vWorldPosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
   }
 `;
 const waterUniforms = {
@@ -281,9 +786,100 @@ const waterUniforms = {
     resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
     patternScale: { value: patternScaleFactor }, // Use fixed constant
     timeScale: { value: waterTimeScaleFactor }, // Use fixed constant (1.2)
-    uAlpha: { value: waterAlpha }                // Use fixed constant for transparency
+    uAlpha: { value: waterAlpha },               // Use fixed constant for transparency
+    // River current flow map (neutral until buildRiverFlowField runs)
+    flowMap: { value: createNeutralFlowTexture() },
+    flowMapBounds: { value: new THREE.Vector4(0, 0, 1, 1) }, // World minX, minZ, sizeX, sizeZ covered by flowMap
+    flowUvScale: { value: new THREE.Vector2(0, 0) },        // UV1 units per world unit along X and Z
+    flowMaxSpeed: { value: riverCurrentMaxSpeed },          // World units/s encoded by a full-scale flowMap texel
+    flowCyclePeriod: { value: flowCyclePeriod },
+    // Vertex wave displacement (same components as getWaveHeight)
+    waveDisplacementEnabled: { value: guiState.waveGeometry ? 1.0 : 0.0 },
+    waveShape: { value: waveComponents.map(w => {
+        const dirLength = Math.hypot(w.dirX, w.dirZ);
+        return new THREE.Vector4(w.dirX / dirLength, w.dirZ / dirLength, 2 * Math.PI / w.wavelength, w.amplitude);
+    }) },
+    wavePhaseSpeed: { value: waveComponents.map(w => w.speed) },
+    waveBankFadeDistance: { value: waveBankFadeDistance },
+    // Planar reflection (see renderWaterReflection)
+    reflectionMap: { value: reflectionRenderTarget.texture },
+    reflectionTextureMatrix: { value: reflectionTextureMatrix },
+    reflectionEnabled: { value: 0.0 },       // Set per frame: 1.0 when the reflection pass ran
+    reflectionFresnelBias: { value: reflectionFresnelBias },
+    reflectionStrength: { value: reflectionStrength },
+    reflectionDistortion: { value: reflectionDistortion },
+    // Scene depth prepass (see renderDepthPrepass)
+    sceneDepthMap: { value: depthRenderTarget.depthTexture },
+    depthScreenSize: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }, // Drawing buffer size, for gl_FragCoord lookups
+    cameraNear: { value: cameraParams.near },
+    cameraFar: { value: cameraParams.far },
+    depthPrepassEnabled: { value: 0.0 },     // Set per frame: 1.0 when the depth prepass ran
+    shoreDepthToEdge: { value: shoreDepthToEdge },
+    depthAbsorption: { value: depthAbsorption },
+    depthOpacityFalloff: { value: depthOpacityFalloff },
+    // Boat wake ripple rings (see emitWakePoint)
+    wakePoints: { value: wakePoints },
+    wakeLifetime: { value: wakeLifetime },
+    wakeRingSpeed: { value: wakeRingSpeed },
+    wakeRingWidth: { value: wakeRingWidth },
+    // Time of day tint for the stylized water color (see updateSkyAndSun)
+    waterLight: { value: new THREE.Color(0xffffff) },
+    // Moon glint (see updateNightSky)
+    moonDirection: { value: moonDirection },
+    moonGlint: { value: 0.0 },
+    // Wind drift of the surface pattern (see updateWind)
+    windVelocity: { value: new THREE.Vector2() },
+    windRippleDrift: { value: windRippleDrift },
+    // Rain drop ripples (see updateWeather)
+    rainIntensity: { value: 0.0 },
+    rainRippleCellSize: { value: rainRippleCellSize },
+    rainRippleRate: { value: rainRippleRate }
 };
 
+// --- River Current Flow Field ---
+// Baked by buildRiverFlowField (boatSimulation.js); this side only hands it to the water shader.
+function createNeutralFlowTexture() {
+    const texture = new THREE.DataTexture(new Uint8Array([128, 128, 0, 255]), 1, 1);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// --- Wave Height ---
+// Open-water wave height above WATER_LEVEL_Y at world (x, z), time in seconds (no bank fade)
+function getWaveHeight(x, z, time) {
+    let height = 0;
+    for (const wave of waveComponents) {
+        const k = 2 * Math.PI / wave.wavelength;
+        const dirLength = Math.hypot(wave.dirX, wave.dirZ);
+        const along = (x * wave.dirX + z * wave.dirZ) / dirLength;
+        height += wave.amplitude * Math.sin(k * (along - wave.speed * waterTimeScaleFactor * time));
+    }
+    return height;
+}
+
+// World Y of the displaced water surface at (x, z), matching the water vertex shader:
+// waves fade out towards the banks and the surface is flat when wave geometry is off.
+function getWaterSurfaceHeight(x, z, time) {
+    if (!guiState.waveGeometry || !(waterMaterial && waterMaterial.isShaderMaterial)) return WATER_LEVEL_Y;
+    const edgeDistance = riverFlowField ? sampleFlowFieldGrid(riverFlowField, riverFlowField.edgeDistance, x, z) : 0.5;
+    return WATER_LEVEL_Y + getWaveHeight(x, z, time) * THREE.MathUtils.smoothstep(edgeDistance, 0, waveBankFadeDistance);
+}
+
+// Bake the flow field for the current waterMesh and hand it to the water shader
+function setupRiverFlow() {
+    try {
+        riverFlowField = buildRiverFlowField(waterMesh);
+        const f = riverFlowField;
+        waterUniforms.flowMap.value = f.texture;
+        waterUniforms.flowMapBounds.value.set(f.minX, f.minZ, f.width * f.cellSize, f.height * f.cellSize);
+        waterUniforms.flowUvScale.value.copy(f.uvScale);
+        console.log(`River flow field baked: ${f.width}x${f.height} cells (${f.cellSize.toFixed(2)} units/cell).`);
+    } catch (error) {
+        console.error("Error building river flow field, boat will not feel any current:", error);
+        riverFlowField = null;
+    }
+}
+
 // --- Async Asset Loading ---
 // [2025-02-28] Keep all the comments that were there in the original files.
 async function loadShaderFile(url) {
@@ -371,6 +967,7 @@ Promise.all([
             vertexShader: waterVertexShader,     // Use our vertex shader
             fragmentShader: fragmentShaderText, // Use loaded fragment shader
             uniforms: waterUniforms,             // Use defined uniforms (with fixed values)
+            defines: { WAVE_COUNT: waveComponents.length, WAKE_POINT_COUNT: wakeMaxPoints },
             side: THREE.DoubleSide,
             transparent: true,                   // <<< KEEP TRANSPARENT water >>>
             fog: false                           // <<< Rely on scene fog (from Sky snippet) >>>
@@ -401,9 +998,18 @@ Promise.all([
         if (child.isMesh) {
             child.receiveShadow = true; // Terrain receives shadows
             if (child.material) child.material.fog = true; // Terrain affected by fog
+            // BVH for the camera terrain queries (getTerrainHeight)
+            try {
+                computeBoundsTree.call(child.geometry);
+                child.raycast = acceleratedRaycast;
+            } catch (error) {
+                console.warn(`Could not build BVH for terrain mesh '${child.name || '(no name)'}', camera terrain checks will be slower.`, error);
+            }
         }
     });
     scene.add(riverModel);
+    riverModel.updateMatrixWorld(true); // Camera terrain queries can run before the first render
+    fitMinimapToTerrain(box);
 
 
     // --- Process and Add Water Mesh ---
@@ -428,6 +1034,7 @@ Promise.all([
          waterMesh.position.set(waterCenter.x, WATER_LEVEL_Y, waterCenter.z); // Position at water level, centered with terrain
          waterMesh.renderOrder = 1; // Render after opaque objects if transparent
          scene.add(waterMesh);
+         setupRiverFlow();
          console.log("Loaded water mesh added to scene.");
 
     } catch(error) {
@@ -446,6 +1053,7 @@ Promise.all([
          waterMesh.name = "water_fallback_plane";
          waterMesh.renderOrder = 1; // Render after opaque
          scene.add(waterMesh);
+         setupRiverFlow();
      }
 
      // --- Process and Add Boundary Mesh ---
@@ -464,6 +1072,17 @@ Promise.all([
          });
          if (!boundaryMesh) throw new Error("No mesh found in boundary_mesh.glb");
 
+         // <<< Build a BVH over the boundary triangles once, so boat collision raycasts don't loop over every face >>>
+         try {
+             computeBoundsTree.call(boundaryMesh.geometry);
+             boundaryMesh.raycast = acceleratedRaycast; // Uses geometry.boundsTree, same hit results as Mesh.raycast
+             console.log("Boundary mesh BVH built for collision queries.");
+         } catch (bvhError) {
+             console.warn("Failed to build boundary mesh BVH, falling back to brute-force raycasting:", bvhError);
+             boundaryMesh.geometry.boundsTree = undefined;
+             boundaryMesh.raycast = THREE.Mesh.prototype.raycast;
+         }
+
          scene.add(boundaryModel); // Add the parent object containing the mesh
          console.log("Loaded boundary mesh added for collision (hidden).");
 
@@ -473,7 +1092,7 @@ Promise.all([
      }
 
     // --- Generic Function to Process and Add Instanced Models ---
-    const processInstancedModel = (gltf, name) => {
+    const processInstancedModel = (gltf, name, options = {}) => {
         try {
             if (!gltf || !gltf.scene) {
                  console.error(`GLTF data is missing or invalid for ${name}`);
@@ -500,6 +1119,7 @@ Promise.all([
                     console.log(`Found InstancedMesh in ${name}: ${child.name || '(no name)'} with count: ${child.count}`);
                     child.castShadow = true; // Instances cast shadows
                     child.receiveShadow = true; // Instances receive shadows
+                    if (options.windSway) addWindSway(child);
                     // Apply fog to the material(s) of the InstancedMesh
                     if (child.material) {
                          if (Array.isArray(child.material)) {
@@ -537,7 +1157,7 @@ Promise.all([
 
     // --- Process the Loaded Rock and Tree Instance Files ---
     processInstancedModel(rockInstancesGltf, 'rocks.glb');
-    processInstancedModel(treeInstancesGltf, 'trees.glb');
+    processInstancedModel(treeInstancesGltf, 'trees.glb', { windSway: true });
     // --- End Instance Processing ---
 
 
@@ -545,18 +1165,13 @@ Promise.all([
 
      // --- Final Setup ---
      // Set Initial Boat Position (relative to terrain center/size)
-     // <<< ADJUSTED Initial Boat Position >>>
-     const initialOffsetZ = -60; // "North" offset
-     const initialOffsetX = 25; // "East" offset
-     const startZ = waterCenter.z + size.z * 0.25 + initialOffsetZ; // Original Z + offset
-     const startX = waterCenter.x + initialOffsetX; // Original X + offset
-     boat.position.set(startX, WATER_LEVEL_Y, startZ); // Set Y directly to water level
+     getBoatSpawnPosition(box, boat.position);
      console.log(`Boat initial position set to: ${boat.position.x.toFixed(2)}, ${boat.position.y.toFixed(2)}, ${boat.position.z.toFixed(2)}`);
 
      // Apply shadows to boat
      boat.traverse(child => {
         if (child.isMesh) {
-            child.castShadow = true;
+            child.castShadow = !child.userData.noCastShadow;
             child.receiveShadow = true;
             // Apply fog to boat materials
             if (child.material) {
@@ -581,6 +1196,7 @@ Promise.all([
 
      // <<< Call initial Sky/Sun update AFTER assets are loaded and waterCenter is known >>>
      updateSkyAndSun();
+     sceneReady = true;
 
      // Update shadow camera bounds now that terrain size is known
      const shadowCamSize = Math.max(size.x, size.z) * 0.6; // Heuristic based on terrain dimensions
@@ -613,218 +1229,1490 @@ Promise.all([
      }
      // <<< Call initial Sky/Sun update even on error to set default sky/sun >>>
      updateSkyAndSun();
+     sceneReady = true;
+});
+
+
+// --- Cinematic Camera ---
+// Flythrough along Catmull-Rom splines through the keyframe positions and look-at targets in
+// cinematicPathUrl. The camera moves at an even speed along the length of the position path (the
+// targets and FOVs follow its keyframes); easing is applied to the whole pass (except when a closed
+// path loops, which would slow to a stop at the seam) and the FOV is smoothly interpolated between keyframes.
+const cinematicEasings = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t)
+};
+let cinematicPath = null; // { positions, targets, fovs, closed } once the path file has loaded
+const cinematicState = { playing: false, elapsed: 0, returnMode: 'Overhead' };
+const cinematicLookTarget = new THREE.Vector3();
+
+async function loadCinematicPath(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load cinematic path: ${response.status} ${response.statusText} @ ${url}`);
+    }
+    const data = await response.json();
+    const keyframes = Array.isArray(data.keyframes) ? data.keyframes : [];
+    const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    if (keyframes.length < 2 || !keyframes.every(k => isVector(k.position) && isVector(k.target))) {
+        throw new Error(`Cinematic path ${url} needs at least 2 keyframes with 'position' and 'target' [x, y, z] arrays`);
+    }
+    const closed = !!data.closed;
+    cinematicPath = {
+        positions: new THREE.CatmullRomCurve3(keyframes.map(k => new THREE.Vector3(...k.position)), closed, 'centripetal'),
+        targets: new THREE.CatmullRomCurve3(keyframes.map(k => new THREE.Vector3(...k.target)), closed, 'centripetal'),
+        fovs: keyframes.map(k => Number.isFinite(k.fov) ? k.fov : cameraParams.fov),
+        closed
+    };
+    // Playback settings from the file become the GUI defaults
+    if (Number.isFinite(data.duration) && data.duration > 0) guiState.cinematicDuration = data.duration;
+    if (data.easing in cinematicEasings) guiState.cinematicEasing = data.easing;
+    if (typeof data.loop === 'boolean') guiState.cinematicLoop = data.loop;
+    updateCinematicEasingControl();
+    console.log(`Cinematic path loaded: ${keyframes.length} keyframes${closed ? ' (closed loop)' : ''}`);
+}
+
+function playCinematic() {
+    const activeMode = currentCamera === thirdPersonCamera ? 'Third Person'
+        : currentCamera === firstPersonCamera ? 'First Person'
+        : currentCamera === orbitCamera ? 'Orbit' : 'Overhead';
+    if (!cinematicPath) {
+        console.warn("Cinematic path not loaded, staying on the current camera.");
+        guiState.cameraMode = cinematicState.playing ? 'Cinematic' : activeMode; // Undo the dropdown change
+        return;
+    }
+    if (!cinematicState.playing) cinematicState.returnMode = activeMode;
+    cinematicState.playing = true;
+    cinematicState.elapsed = 0;
+    guiState.cameraMode = 'Cinematic';
+    setCameraMode('Cinematic');
+    updateCinematicCamera(0); // Cut straight to the first keyframe
+}
+
+// Ends playback and hands back to the camera that was active before it started
+function stopCinematic() {
+    if (!cinematicState.playing) return;
+    cinematicState.playing = false;
+    cinematicCamera.fov = cameraParams.fov;
+    guiState.cameraMode = cinematicState.returnMode;
+    setCameraMode(cinematicState.returnMode);
+}
+
+// A closed path played in a loop keeps its speed through the seam, so it ignores the easing
+function isCinematicSeamless() {
+    return !!cinematicPath && cinematicPath.closed && guiState.cinematicLoop;
+}
+
+function updateCinematicCamera(deltaTime) {
+    if (!cinematicPath || !cinematicState.playing) return;
+    const duration = Math.max(0.1, guiState.cinematicDuration);
+    cinematicState.elapsed += deltaTime;
+    if (cinematicState.elapsed >= duration) {
+        if (!guiState.cinematicLoop) { stopCinematic(); return; }
+        cinematicState.elapsed %= duration;
+    }
+    const ease = (!isCinematicSeamless() && cinematicEasings[guiState.cinematicEasing]) || cinematicEasings.linear;
+    const u = ease(cinematicState.elapsed / duration); // Fraction of the path length
+    const t = cinematicPath.positions.getUtoTmapping(u); // Curve parameter, the keyframes sit at even steps of it
+    cinematicPath.positions.getPoint(t, cinematicCamera.position);
+    cinematicPath.targets.getPoint(t, cinematicLookTarget);
+    cinematicCamera.lookAt(cinematicLookTarget);
+
+    // FOV between the two keyframes of the current segment
+    const fovs = cinematicPath.fovs;
+    const segmentCount = cinematicPath.closed ? fovs.length : fovs.length - 1;
+    const segmentPosition = Math.min(t * segmentCount, segmentCount - 1e-6);
+    const segment = Math.floor(segmentPosition);
+    const fov = THREE.MathUtils.lerp(fovs[segment], fovs[(segment + 1) % fovs.length], THREE.MathUtils.smoothstep(segmentPosition - segment, 0, 1));
+    if (cinematicCamera.fov !== fov) {
+        cinematicCamera.fov = fov;
+        cinematicCamera.updateProjectionMatrix();
+    }
+}
+
+loadCinematicPath(cinematicPathUrl).catch(error => {
+    console.error("Error loading cinematic path, 'Cinematic' camera disabled:", error);
 });
 
 
+// --- Split Screen ---
+// Player two's boat is a clone of player one's (shared geometry and materials, except a recolored rower).
+// It joins boatStates, so it gets the same physics step, wake, buoyancy and lantern as player one.
+function createPlayerTwoBoat() {
+    const object = boat.clone();
+    object.name = "boatPlayerTwo";
+    const playerTwoBodyMaterial = bodyMaterial.clone();
+    playerTwoBodyMaterial.color.set(playerTwoBodyColor);
+    object.traverse(child => {
+        if (child.isMesh && child.material === bodyMaterial) child.material = playerTwoBodyMaterial;
+    });
+    object.getObjectByName('lanternLight').castShadow = false; // Only player one's: point light shadows cost six passes
+    return object;
+}
+
+function setSplitScreen(enabled) {
+    if (enabled) {
+        if (!playerTwo) playerTwo = createBoatState(createPlayerTwoBoat());
+        // Launch behind player one, facing the same way, at rest
+        const keel = new THREE.Vector3().copy(boatForward).applyQuaternion(boat.quaternion).setY(0).normalize();
+        playerTwo.object.position.copy(boat.position).addScaledVector(keel, -playerTwoSpawnDistance);
+        playerTwo.object.quaternion.copy(boat.quaternion);
+        playerTwo.velocity.set(0, 0, 0);
+        playerTwo.angularVelocity = 0;
+        releaseBoatInputs([playerTwo]);
+        playerTwo.object.updateMatrixWorld(true);
+        playerTwoCamera.position.copy(thirdPersonOffset).applyQuaternion(playerTwo.object.quaternion).add(playerTwo.object.position);
+        playerTwoCamera.lookAt(playerTwo.object.position);
+        playerTwoSpringArm.length = Infinity;
+        scene.add(playerTwo.object);
+        if (!boatStates.includes(playerTwo)) boatStates.push(playerTwo);
+    } else if (playerTwo) {
+        scene.remove(playerTwo.object);
+        const index = boatStates.indexOf(playerTwo);
+        if (index !== -1) boatStates.splice(index, 1);
+    }
+    onWindowResize(); // Views change between full and half width
+}
+
+// --- Key Bindings ---
+// Keys map to actions, not the other way round, so any layout (AZERTY, left-handed, ...) can be set up.
+// Boat actions name the boat input they hold down; with a single boat both players' keys drive it.
+const keyActions = [
+    { id: 'accelerate', label: 'Accelerate', player: 1, input: 'accelerate' },
+    { id: 'reverse', label: 'Reverse', player: 1, input: 'reverse' },
+    { id: 'turnLeft', label: 'Turn Left', player: 1, input: 'turnLeft' },
+    { id: 'turnRight', label: 'Turn Right', player: 1, input: 'turnRight' },
+    { id: 'p2Accelerate', label: 'P2 Accelerate', player: 2, input: 'accelerate' },
+    { id: 'p2Reverse', label: 'P2 Reverse', player: 2, input: 'reverse' },
+    { id: 'p2TurnLeft', label: 'P2 Turn Left', player: 2, input: 'turnLeft' },
+    { id: 'p2TurnRight', label: 'P2 Turn Right', player: 2, input: 'turnRight' },
+    { id: 'switchCamera', label: 'Switch Camera' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'toggleMinimap', label: 'Toggle Minimap' }
+];
+const keyBindings = loadKeyBindings(); // action id -> key
+let actionsByKey = new Map(); // key -> action, rebuilt whenever a binding changes
+let rebindingAction = null; // Action waiting for its new key (set from the GUI)
+
+function loadKeyBindings() {
+    const bindings = { ...defaultKeyBindings };
+    try {
+        const stored = JSON.parse(localStorage.getItem(keyBindingsStorageKey) || '{}');
+        for (const [actionId, key] of Object.entries(stored)) {
+            if (actionId in bindings && typeof key === 'string' && key.length > 0) bindings[actionId] = key;
+        }
+    } catch (error) {
+        console.warn('Could not read saved key bindings, using defaults:', error);
+    }
+    return bindings;
+}
+
+function saveKeyBindings() {
+    try {
+        localStorage.setItem(keyBindingsStorageKey, JSON.stringify(keyBindings));
+    } catch (error) {
+        console.warn('Could not save key bindings:', error);
+    }
+}
+
+function rebuildActionsByKey() {
+    actionsByKey = new Map();
+    for (const action of keyActions) {
+        const key = keyBindings[action.id];
+        if (actionsByKey.has(key)) console.warn(`Key "${key}" is bound to both ${actionsByKey.get(key).label} and ${action.label}`);
+        else actionsByKey.set(key, action);
+    }
+}
+rebuildActionsByKey();
+
+// Readable name for a key ('arrowup' -> '↑', ' ' -> 'Space', 'w' -> 'W')
+function keyLabel(key) {
+    const names = { ' ': 'Space', arrowup: '\u2191', arrowdown: '\u2193', arrowleft: '\u2190', arrowright: '\u2192' };
+    if (key in names) return names[key];
+    return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Centered prompt while waiting for a key, also used to report conflicts
+const keyBindingPrompt = document.createElement('div');
+keyBindingPrompt.id = 'key-binding-prompt';
+keyBindingPrompt.style.cssText = 'position:absolute;left:50%;top:40%;transform:translate(-50%,-50%);padding:12px 18px;border-radius:6px;'
+    + 'background:rgba(0,0,0,0.7);color:#fff;font:15px sans-serif;pointer-events:none;user-select:none;display:none;';
+document.body.appendChild(keyBindingPrompt);
+let keyBindingPromptTimeout = null;
+
+function showKeyBindingPrompt(text, hideAfterMs = 0) {
+    clearTimeout(keyBindingPromptTimeout);
+    keyBindingPrompt.textContent = text;
+    keyBindingPrompt.style.display = 'block';
+    if (hideAfterMs > 0) keyBindingPromptTimeout = setTimeout(() => { keyBindingPrompt.style.display = 'none'; }, hideAfterMs);
+}
+
+function startRebinding(action) {
+    rebindingAction = action;
+    showKeyBindingPrompt(`Press a key for ${action.label} (Esc to cancel)`);
+}
+
+/**
+ * Bind `key` to the action being rebound. A key already used by another action is a conflict:
+ * the two actions swap keys (so nothing is left unbound) and the prompt says so.
+ */
+function finishRebinding(key) {
+    const action = rebindingAction;
+    rebindingAction = null;
+    if (key === 'escape') {
+        keyBindingPrompt.style.display = 'none';
+        return;
+    }
+    const previousKey = keyBindings[action.id];
+    const conflicting = keyActions.find(other => other !== action && keyBindings[other.id] === key);
+    keyBindings[action.id] = key;
+    if (conflicting) {
+        keyBindings[conflicting.id] = previousKey;
+        showKeyBindingPrompt(`${keyLabel(key)} was bound to ${conflicting.label}, which now uses ${keyLabel(previousKey)}`, 3000);
+    } else {
+        showKeyBindingPrompt(`${action.label}: ${keyLabel(key)}`, 1200);
+    }
+    applyKeyBindingChange();
+}
+
+function resetKeyBindings() {
+    Object.assign(keyBindings, defaultKeyBindings);
+    applyKeyBindingChange();
+}
+
+function applyKeyBindingChange() {
+    rebuildActionsByKey();
+    saveKeyBindings();
+    keyBindingControllers.forEach((controller, actionId) => controller.name(`${keyActions.find(a => a.id === actionId).label}: ${keyLabel(keyBindings[actionId])}`));
+    releaseBoatInputs(); // So no boat input stays held under its old key
+}
+
+// Switch Camera action: step through the driving cameras (leaves the cinematic if it is playing)
+const cameraModeCycle = ['Overhead', 'Third Person', 'First Person', 'Orbit'];
+function cycleCameraMode() {
+    const next = cameraModeCycle[(cameraModeCycle.indexOf(guiState.cameraMode) + 1) % cameraModeCycle.length];
+    if (cinematicState.playing) stopCinematic(); // Also puts the cinematic camera's FOV back
+    guiState.cameraMode = next;
+    setCameraMode(next);
+}
+
+// Pause overlay
+const pauseIndicator = document.createElement('div');
+pauseIndicator.id = 'pause-indicator';
+pauseIndicator.textContent = 'Paused';
+pauseIndicator.style.cssText = 'position:absolute;left:50%;top:12px;transform:translateX(-50%);padding:6px 14px;border-radius:6px;'
+    + 'background:rgba(0,0,0,0.45);color:#fff;font:bold 15px sans-serif;pointer-events:none;user-select:none;display:none;';
+document.body.appendChild(pauseIndicator);
+
+function setPaused(paused) {
+    guiState.paused = paused;
+    pauseIndicator.style.display = paused ? 'block' : 'none';
+}
+
+// --- Replay ---
+// The physics only depends on the boats' state, the per-step controls, the simulation time and a few
+// settings (wind, wave geometry). A recording stores the starting state plus the controls of every
+// step (run-length encoded), and replaying feeds them back through the same stepBoat.
+const replayState = {
+    mode: 'off', // 'off', 'recording' or 'replaying'
+    recording: null, // Last recording (made here or loaded from a file)
+    // Recording
+    runs: [], // [stepCount, throttle, steer, (throttle, steer of player two)]
+    settingChanges: [], // [step, settings] whenever a physics setting changed mid-run
+    lastSettings: null,
+    recordedSteps: 0,
+    // Replaying
+    controls: null, // Expanded runs: throttle, steer per boat per step
+    settingsByStep: null, // step -> settings
+    checkpoints: new Map(), // step -> world snapshot
+    step: 0,
+    totalSteps: 0,
+    playing: false,
+    speed: 1.0,
+    position: 0, // Seconds into the replay (GUI scrub slider)
+    seeking: false, // Re-simulating to a scrubbed position: no fog-of-war reveal or wake rings
+    liveSettings: null // Settings from before the replay, put back by stopReplay
+};
+
+const physicsSettingKeys = ['waveGeometry', 'windDirection', 'windStrength', 'windGusts'];
+
+function physicsSettings() {
+    return Object.fromEntries(physicsSettingKeys.map(key => [key, guiState[key]]));
+}
+
+// Only the physics keys: the settings may come from a file, and nothing else in guiState may change behind its setter
+function applyPhysicsSettings(settings) {
+    for (const key of physicsSettingKeys) guiState[key] = settings[key];
+    waterUniforms.waveDisplacementEnabled.value = guiState.waveGeometry ? 1.0 : 0.0;
+}
+
+function snapshotBoat(state) {
+    return {
+        position: state.object.position.toArray(),
+        quaternion: state.object.quaternion.toArray(),
+        velocity: [state.velocity.x, state.velocity.z],
+        angularVelocity: state.angularVelocity,
+        currentSpeed: state.currentSpeed,
+        buoyancy: { ...state.buoyancy },
+        previousStrokePhase: state.previousStrokePhase,
+        lastWakeSampleTime: Number.isFinite(state.lastWakeSampleTime) ? state.lastWakeSampleTime : null // JSON has no -Infinity
+    };
+}
+
+function restoreBoat(state, snapshot) {
+    state.object.position.fromArray(snapshot.position);
+    state.object.quaternion.fromArray(snapshot.quaternion);
+    state.velocity.set(snapshot.velocity[0], 0, snapshot.velocity[1]);
+    state.angularVelocity = snapshot.angularVelocity;
+    state.currentSpeed = snapshot.currentSpeed;
+    Object.assign(state.buoyancy, snapshot.buoyancy);
+    state.hull.position.y = state.buoyancy.heave / boatScale;
+    state.hull.rotation.set(state.buoyancy.pitch, 0, state.buoyancy.roll);
+    state.previousStrokePhase = snapshot.previousStrokePhase;
+    state.lastWakeSampleTime = snapshot.lastWakeSampleTime ?? -Infinity;
+    state.object.updateMatrixWorld(true);
+}
+
+function snapshotWorld() {
+    return { time: simulationTime, boats: boatStates.map(snapshotBoat) };
+}
+
+function restoreWorld(snapshot) {
+    simulationTime = snapshot.time;
+    snapshot.boats.forEach((boatSnapshot, index) => restoreBoat(boatStates[index], boatSnapshot));
+    clearWakePoints();
+}
+
+function startRecording() {
+    if (replayState.mode !== 'off' || !boat) return;
+    replayState.mode = 'recording';
+    replayState.recording = {
+        version: replayFormatVersion,
+        stepDuration: targetFrameDuration,
+        start: snapshotWorld(),
+        settings: physicsSettings(),
+        steps: 0,
+        runs: [],
+        settingChanges: []
+    };
+    replayState.runs = replayState.recording.runs;
+    replayState.settingChanges = replayState.recording.settingChanges;
+    replayState.lastSettings = JSON.stringify(replayState.recording.settings);
+    replayState.recordedSteps = 0;
+    replayRecordController.name('Stop Recording');
+    console.log('Recording started');
+}
+
+function stopRecording() {
+    if (replayState.mode !== 'recording') return;
+    replayState.mode = 'off';
+    replayState.recording.steps = replayState.recordedSteps;
+    replayRecordController.name('Start Recording');
+    console.log(`Recording stopped: ${replayState.recordedSteps} steps (${(replayState.recordedSteps * targetFrameDuration).toFixed(1)} s)`);
+}
+
+// Called once per fixed step while recording, after the controls are merged and before the physics runs
+function recordReplayStep() {
+    const { recording } = replayState;
+    if (boatStates.length !== recording.start.boats.length) { // Split screen toggled: the run can't be replayed past here
+        console.warn('Boat count changed, recording stopped');
+        stopRecording();
+        return;
+    }
+    const settings = JSON.stringify(physicsSettings());
+    if (settings !== replayState.lastSettings) {
+        replayState.settingChanges.push([replayState.recordedSteps, JSON.parse(settings)]);
+        replayState.lastSettings = settings;
+    }
+    const values = [];
+    for (const { controls } of boatStates) {
+        controls.throttle = Math.round(controls.throttle * replayControlPrecision) / replayControlPrecision;
+        controls.steer = Math.round(controls.steer * replayControlPrecision) / replayControlPrecision;
+        values.push(controls.throttle, controls.steer);
+    }
+    const lastRun = replayState.runs[replayState.runs.length - 1];
+    if (lastRun && values.every((value, index) => value === lastRun[index + 1])) lastRun[0]++;
+    else replayState.runs.push([1, ...values]);
+    replayState.recordedSteps++;
+}
+
+function saveRecording() {
+    if (replayState.mode === 'recording') stopRecording();
+    if (!replayState.recording) {
+        console.warn('Nothing recorded yet');
+        return;
+    }
+    const blob = new Blob([JSON.stringify(replayState.recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `river-replay-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Throws unless `recording` (parsed from an untrusted file) has everything startReplay and the checkpoints read
+function validateRecording(recording) {
+    const fail = (what) => { throw new Error(`invalid replay file: ${what}`); };
+    const isNumber = Number.isFinite;
+    const isNumbers = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+    const isSettings = (settings) => !!settings && typeof settings.waveGeometry === 'boolean'
+        && isNumber(settings.windDirection) && isNumber(settings.windStrength) && isNumber(settings.windGusts);
+    if (!recording || recording.version !== replayFormatVersion) fail(`unsupported format (version ${recording && recording.version})`);
+    if (!isNumber(recording.stepDuration) || recording.stepDuration <= 0) fail('stepDuration');
+    const { start } = recording;
+    if (!start || !isNumber(start.time) || !Array.isArray(start.boats) || start.boats.length < 1 || start.boats.length > maxBoats) fail('start');
+    start.boats.forEach((boatSnapshot, index) => {
+        const ok = !!boatSnapshot && isNumbers(boatSnapshot.position, 3) && isNumbers(boatSnapshot.quaternion, 4)
+            && isNumbers(boatSnapshot.velocity, 2) && isNumber(boatSnapshot.angularVelocity) && isNumber(boatSnapshot.currentSpeed)
+            && !!boatSnapshot.buoyancy && ['heave', 'pitch', 'roll', 'heaveVelocity', 'pitchVelocity', 'rollVelocity'].every(key => isNumber(boatSnapshot.buoyancy[key]))
+            && isNumber(boatSnapshot.previousStrokePhase)
+            && (boatSnapshot.lastWakeSampleTime === null || isNumber(boatSnapshot.lastWakeSampleTime));
+        if (!ok) fail(`start.boats[${index}]`);
+    });
+    if (!isSettings(recording.settings)) fail('settings');
+    if (!Array.isArray(recording.settingChanges)) fail('settingChanges');
+    recording.settingChanges.forEach((change, index) => {
+        if (!Array.isArray(change) || change.length !== 2 || !Number.isInteger(change[0]) || change[0] < 0 || !isSettings(change[1])) fail(`settingChanges[${index}]`);
+    });
+    if (!Array.isArray(recording.runs)) fail('runs');
+    const runLength = 1 + start.boats.length * 2; // Step count, then throttle and steer per boat
+    recording.runs.forEach((run, index) => {
+        if (!isNumbers(run, runLength) || !Number.isInteger(run[0]) || run[0] < 1) fail(`runs[${index}]`);
+    });
+}
+
+// Hidden file input behind the 'Load Recording' button
+const replayFileInput = document.createElement('input');
+replayFileInput.type = 'file';
+replayFileInput.accept = '.json,application/json';
+replayFileInput.style.display = 'none';
+document.body.appendChild(replayFileInput);
+replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow loading the same file again
+    if (!file) return;
+    try {
+        const recording = JSON.parse(await file.text());
+        validateRecording(recording); // Before touching any state, so a bad file leaves the last recording playable
+        if (Math.abs(recording.stepDuration - targetFrameDuration) > 1e-9) {
+            console.warn(`Replay was recorded at ${(1 / recording.stepDuration).toFixed(0)} Hz, physics runs at ${targetFrameRate} Hz; it may drift`);
+        }
+        if (replayState.mode === 'recording') stopRecording();
+        replayState.recording = recording;
+        startReplay();
+    } catch (error) {
+        console.error('Error loading replay:', error);
+    }
+});
+
+function startReplay() {
+    const { recording } = replayState;
+    if (!recording || !boat) return;
+    if (replayState.mode === 'recording') stopRecording();
+    const boatCount = recording.start.boats.length;
+    if (cinematicState.playing) stopCinematic();
+    if ((boatCount === 2) !== guiState.splitScreen) {
+        guiState.splitScreen = boatCount === 2;
+        setSplitScreen(guiState.splitScreen);
+    }
+    // Expand the runs into one throttle/steer pair per boat per step
+    const totalSteps = recording.runs.reduce((sum, run) => sum + run[0], 0);
+    const controls = new Float64Array(totalSteps * boatCount * 2);
+    let offset = 0;
+    for (const [count, ...values] of recording.runs) {
+        for (let i = 0; i < count; i++, offset += values.length) controls.set(values, offset);
+    }
+    replayState.controls = controls;
+    replayState.settingsByStep = new Map(recording.settingChanges.map(([step, settings]) => [step, settings]));
+    replayState.totalSteps = totalSteps;
+    replayState.checkpoints = new Map([[0, recording.start]]);
+    if (replayState.mode !== 'replaying') replayState.liveSettings = physicsSettings();
+    replayState.mode = 'replaying';
+    replayState.playing = true;
+    replayPositionController.max(totalSteps * targetFrameDuration);
+    restoreReplayCheckpoint(0);
+    replayState.position = 0;
+}
+
+function stopReplay() {
+    if (replayState.mode !== 'replaying') return;
+    replayState.mode = 'off';
+    replayState.playing = false;
+    applyPhysicsSettings(replayState.liveSettings); // The recorded wind and waves only apply to the replay
+    // Live control resumes from wherever the replay left the boats; drop keys pressed while watching
+    releaseBoatInputs();
+}
+
+// Called once per fixed step while replaying, in place of reading the keyboard/gamepads/touch
+function applyReplayStep() {
+    const { step } = replayState;
+    if (replayState.settingsByStep.has(step)) applyPhysicsSettings(replayState.settingsByStep.get(step));
+    boatStates.forEach((state, index) => {
+        const offset = (step * boatStates.length + index) * 2;
+        state.controls.throttle = replayState.controls[offset];
+        state.controls.steer = replayState.controls[offset + 1];
+    });
+}
+
+// After a replayed step: advance the cursor and cache a checkpoint every replayCheckpointInterval steps
+function advanceReplayStep() {
+    replayState.step++;
+    replayState.position = replayState.step * targetFrameDuration;
+    if (replayState.step % replayCheckpointInterval === 0 && !replayState.checkpoints.has(replayState.step)) {
+        replayState.checkpoints.set(replayState.step, snapshotWorld());
+    }
+}
+
+function restoreReplayCheckpoint(checkpointStep) {
+    const { recording } = replayState;
+    restoreWorld(replayState.checkpoints.get(checkpointStep));
+    // Settings in force at the checkpoint: the initial ones plus every change before it
+    applyPhysicsSettings(recording.settings);
+    for (const [step, settings] of recording.settingChanges) {
+        if (step < checkpointStep) applyPhysicsSettings(settings);
+    }
+    replayState.step = checkpointStep;
+}
+
+/**
+ * Jump to `targetStep`: restore the nearest checkpoint at or before it (unless the current step is
+ * already closer) and simulate forward without rendering.
+ */
+function seekReplay(targetStep) {
+    targetStep = THREE.MathUtils.clamp(Math.round(targetStep), 0, replayState.totalSteps);
+    let checkpointStep = 0;
+    for (const step of replayState.checkpoints.keys()) {
+        if (step <= targetStep && step > checkpointStep) checkpointStep = step;
+    }
+    if (replayState.step < checkpointStep || replayState.step > targetStep) restoreReplayCheckpoint(checkpointStep);
+    replayState.seeking = true;
+    try {
+        while (replayState.step < targetStep) {
+            stepSimulation(targetFrameDuration);
+        }
+    } finally {
+        replayState.seeking = false;
+    }
+    replayState.position = replayState.step * targetFrameDuration;
+}
+
 // -----------------------------
 // dat.GUI Interface
 // -----------------------------
 const gui = new dat.GUI();
 
 // Camera Mode GUI
-gui.add(guiState, 'cameraMode', ['Overhead', 'Third Person']) // Using Overhead and Third Person
+function setCameraMode(value) {
+    const previousCamera = currentCamera;
+    currentCamera = (value === 'Third Person') ? thirdPersonCamera
+        : (value === 'First Person') ? firstPersonCamera
+        : (value === 'Orbit') ? orbitCamera
+        : (value === 'Cinematic') ? cinematicCamera : camera; // Assign correct camera
+    currentCamera.aspect = getViewAspect();
+    currentCamera.updateProjectionMatrix();
+    // Handoff: start the new camera where the old one was, the chase cameras then ease into place
+    if (currentCamera !== previousCamera) {
+        currentCamera.position.copy(previousCamera.position);
+        currentCamera.quaternion.copy(previousCamera.quaternion);
+    }
+    orbitControls.enabled = (currentCamera === orbitCamera);
+    if (orbitControls.enabled && boat) {
+        boat.getWorldPosition(orbitLastBoatPosition);
+        orbitControls.target.copy(orbitLastBoatPosition);
+        orbitControls.update();
+    }
+}
+
+gui.add(guiState, 'cameraMode', ['Overhead', 'Third Person', 'First Person', 'Orbit', 'Cinematic'])
     .name('Camera Mode')
+    .listen() // Cinematic playback switches modes itself
+    .onChange((value) => {
+        if (value === 'Cinematic') {
+            playCinematic();
+        } else {
+            cinematicState.playing = false;
+            setCameraMode(value);
+        }
+    });
+
+// Cinematic GUI
+const cinematicFolder = gui.addFolder('Cinematic');
+cinematicFolder.add({ play: () => playCinematic() }, 'play').name('Play Flythrough');
+cinematicFolder.add(guiState, 'cinematicDuration', 5, 180, 1).name('Duration (s)').listen();
+const cinematicEasingController = cinematicFolder.add(guiState, 'cinematicEasing', Object.keys(cinematicEasings)).name('Easing').listen();
+cinematicFolder.add(guiState, 'cinematicLoop').name('Loop (Attract Mode)').listen().onChange(updateCinematicEasingControl);
+// Hidden while it has no effect (see isCinematicSeamless)
+function updateCinematicEasingControl() {
+    cinematicEasingController.__li.style.display = isCinematicSeamless() ? 'none' : '';
+}
+updateCinematicEasingControl();
+
+// Water wave geometry toggle (flat water is cheaper and easier to read from above)
+gui.add(guiState, 'waveGeometry')
+    .name('Wave Geometry')
+    .listen() // Replays apply the recorded settings
     .onChange((value) => {
-        currentCamera = (value === 'Third Person') ? thirdPersonCamera : camera; // Assign correct camera
-        currentCamera.aspect = window.innerWidth / window.innerHeight;
-        currentCamera.updateProjectionMatrix();
+        waterUniforms.waveDisplacementEnabled.value = value ? 1.0 : 0.0;
     });
 
+// Planar reflection toggle (one extra scene render per frame)
+gui.add(guiState, 'reflections').name('Reflections');
+
+// Time of Day GUI (hour slider follows the running clock; pin it to hold a specific time)
+const timeOfDayFolder = gui.addFolder('Time of Day');
+timeOfDayFolder.add(guiState, 'timeOfDay', 0, 24, 0.1).name('Hour').listen();
+timeOfDayFolder.add(guiState, 'dayLengthSeconds', 10, 1200, 10).name('Day Length (s)');
+timeOfDayFolder.add(guiState, 'pinTime').name('Pin Time');
+timeOfDayFolder.add(guiState, 'lantern', ['Auto', 'On', 'Off']).name('Lantern');
+
+// Weather GUI (the scene blends to the new preset over a few seconds)
+gui.add(guiState, 'weather', Object.keys(weatherPresets)).name('Weather');
+
+// Minimap GUI
+gui.add(guiState, 'minimap').name('Minimap').listen().onChange(placeRowButton); // Also toggled from the keyboard
+gui.add(guiState, 'fogOfWar').name('Minimap Fog of War');
+
+// Gamepad GUI
+const gamepadFolder = gui.addFolder('Gamepad');
+gamepadFolder.add(guiState, 'gamepadDeadzone', 0, 0.5, 0.01).name('Deadzone');
+gamepadFolder.add(guiState, 'gamepadInvertSteering').name('Invert Steering');
+gamepadFolder.add(guiState, 'gamepadInvertThrottle').name('Invert Throttle');
+
+// Split screen GUI
+gui.add(guiState, 'splitScreen').name('Split Screen (2 Players)').onChange(setSplitScreen);
+
+// Replay GUI (record inputs, save/load them as JSON, and play them back with scrubbing and speed control)
+const replayFolder = gui.addFolder('Replay');
+const replayRecordController = replayFolder.add({
+    record: () => (replayState.mode === 'recording' ? stopRecording() : startRecording())
+}, 'record').name('Start Recording');
+replayFolder.add({ save: saveRecording }, 'save').name('Save Recording');
+replayFolder.add({ load: () => replayFileInput.click() }, 'load').name('Load Recording');
+replayFolder.add({ play: startReplay }, 'play').name('Replay Last Recording');
+replayFolder.add(replayState, 'playing')
+    .name('Playing')
+    .listen()
+    .onChange((value) => {
+        if (value && replayState.mode === 'replaying' && replayState.step >= replayState.totalSteps) seekReplay(0); // Play again from the start
+    });
+replayFolder.add(replayState, 'speed', 0.25, 4, 0.25).name('Speed');
+const replayPositionController = replayFolder.add(replayState, 'position', 0, 1, targetFrameDuration)
+    .name('Position (s)')
+    .listen()
+    .onChange((value) => {
+        if (replayState.mode === 'replaying') seekReplay(value / targetFrameDuration);
+    });
+replayFolder.add({ exit: stopReplay }, 'exit').name('Exit Replay (Take Over)');
+
+// Pause GUI
+gui.add(guiState, 'paused').name('Pause').listen().onChange(setPaused);
+
+// Key bindings GUI (click an action, then press its new key)
+const keyBindingsFolder = gui.addFolder('Key Bindings');
+const keyBindingControllers = new Map(); // action id -> GUI button
+for (const action of keyActions) {
+    const controller = keyBindingsFolder.add({ rebind: () => startRebinding(action) }, 'rebind')
+        .name(`${action.label}: ${keyLabel(keyBindings[action.id])}`);
+    keyBindingControllers.set(action.id, controller);
+}
+keyBindingsFolder.add({ reset: resetKeyBindings }, 'reset').name('Reset to Defaults');
+
+// Wind GUI
+const windFolder = gui.addFolder('Wind');
+windFolder.add(guiState, 'windDirection', 0, 360, 1).name('Direction (deg)').listen(); // Replays apply the recorded settings
+windFolder.add(guiState, 'windStrength', 0, 1, 0.01).name('Strength').listen();
+windFolder.add(guiState, 'windGusts', 0, 1, 0.01).name('Gusts').listen();
+
 // <<< REMOVED Sky Settings GUI Folder and controls (using hardcoded) >>>
 // <<< REMOVED Lighting Mode GUI (Sky handles this) >>>
 // <<< REMOVED Water Speed GUI (using hardcoded) >>>
 // <<< REMOVED Axes Helper GUI (helper removed) >>>
 
 
-// --- Initial Sky and Sun Update Function (from Sky snippet) ---
-// Renamed from guiChanged - now only sets initial/hardcoded values
+// --- Time of Day ---
+// Colors are converted once; evaluateTimeOfDay blends the two keyframes around the hour
+const timeOfDayColorKeys = ['sunColor', 'ambientColor', 'fogColor', 'waterLight'];
+const timeOfDayScalarKeys = ['turbidity', 'rayleigh', 'mieCoefficient', 'mieDirectionalG', 'exposure', 'sunIntensity', 'ambientIntensity'];
+const timeOfDayColorFrames = timeOfDayKeyframes.map(frame => Object.fromEntries(timeOfDayColorKeys.map(key => [key, new THREE.Color(frame[key])])));
+const timeOfDayState = {
+    elevation: skySettings.elevation, azimuth: skySettings.azimuth,
+    ...Object.fromEntries(timeOfDayScalarKeys.map(key => [key, 0])),
+    ...Object.fromEntries(timeOfDayColorKeys.map(key => [key, new THREE.Color()]))
+};
+
+function evaluateTimeOfDay(hour, target) {
+    hour = ((hour % 24) + 24) % 24;
+    // Sun: rises in the east (azimuth -90) at sunRiseHour, peaks at noon, sets in the west
+    const dayPhase = (hour - sunRiseHour) / 12; // 0 = sunrise, 1 = sunset
+    target.elevation = skySettings.elevation * Math.sin(dayPhase * Math.PI);
+    target.azimuth = skySettings.azimuth - 90 + dayPhase * 180;
+
+    // Appearance: find the surrounding keyframes (the list wraps from the last back to hour 0)
+    let next = timeOfDayKeyframes.findIndex(frame => frame.hour > hour);
+    if (next === -1) next = timeOfDayKeyframes.length; // Past the last keyframe: blend into hour 24 = first
+    const prev = next - 1;
+    const nextIndex = next % timeOfDayKeyframes.length;
+    const nextHour = next === timeOfDayKeyframes.length ? 24 : timeOfDayKeyframes[next].hour;
+    const prevHour = timeOfDayKeyframes[prev].hour;
+    const t = nextHour > prevHour ? (hour - prevHour) / (nextHour - prevHour) : 0;
+    for (const key of timeOfDayScalarKeys) {
+        target[key] = THREE.MathUtils.lerp(timeOfDayKeyframes[prev][key], timeOfDayKeyframes[nextIndex][key], t);
+    }
+    for (const key of timeOfDayColorKeys) {
+        target[key].copy(timeOfDayColorFrames[prev][key]).lerp(timeOfDayColorFrames[nextIndex][key], t);
+    }
+    return target;
+}
+
+// Advance the day/night clock (fixed step, unless pinned from the GUI)
+function advanceTimeOfDay(deltaTime) {
+    if (guiState.pinTime || guiState.dayLengthSeconds <= 0) return;
+    guiState.timeOfDay = (guiState.timeOfDay + deltaTime * 24 / guiState.dayLengthSeconds) % 24;
+}
+
+// --- Weather ---
+// weatherState eases towards the selected preset; updateSkyAndSun layers it over the time of day
+const weatherState = { ...weatherPresets[guiState.weather] };
+const overcastTint = new THREE.Color();
+
+function advanceWeather(deltaTime) {
+    const target = weatherPresets[guiState.weather] || weatherPresets['Clear'];
+    const blend = 1 - Math.exp(-deltaTime / weatherTransitionSeconds);
+    for (const key of Object.keys(weatherState)) {
+        weatherState[key] += (target[key] - weatherState[key]) * blend;
+    }
+}
+
+function updateWeather(tod, time) {
+    const w = weatherState;
+    const uniforms = sky.material.uniforms;
+    uniforms[ 'turbidity' ].value += w.turbidity;
+    uniforms[ 'rayleigh' ].value *= w.rayleighScale;
+    sunLight.intensity *= w.sunScale;
+    ambLight.intensity *= w.ambientScale;
+    renderer.toneMappingExposure *= w.exposureScale;
+
+    // Fog and clouds go grey, dimmed by the time of day
+    overcastTint.set(overcastColor).multiply(tod.waterLight);
+    scene.fog.color.lerp(overcastTint, w.overcast);
+    scene.background.copy(scene.fog.color);
+    scene.fog.near = w.fogNear;
+    scene.fog.far = w.fogFar;
+    cloudDomeMaterial.color.copy(scene.fog.color);
+    cloudDomeMaterial.opacity = w.overcast;
+    cloudDome.visible = w.overcast > 0.001;
+    waterUniforms.moonGlint.value *= 1 - w.overcast;
+
+    // Rain streaks around the camera and ripples on the water
+    rainEffect.visible = w.rain > 0.01;
+    rainMaterial.uniforms.rainOpacity.value = 0.55 * w.rain;
+    rainMaterial.uniforms.rainColor.value.set(0xaab4c0).multiply(tod.waterLight);
+    rainMaterial.uniforms.time.value = time;
+    waterUniforms.rainIntensity.value = w.rain;
+}
+
+// --- Wind ---
+// One global wind vector (steady part from the GUI, scaled by a layered-sine gust factor). It drags the
+// boat in the physics step, sways the tree instances, drifts the water pattern and slants the rain.
+const windVelocity = new THREE.Vector3(); // World units/s, XZ only
+const windState = { gustFactor: 1.0 };
+const windSwayUniforms = { // Shared by every tree material patched in addWindSway
+    windSway: { value: new THREE.Vector2() }, // Crown displacement (world XZ) before flutter
+    windTime: { value: 0 }
+};
+
+function updateWind(time) {
+    const heading = THREE.MathUtils.degToRad(guiState.windDirection);
+    const gust = Math.sin(time * 2 * Math.PI / windGustPeriod) * 0.5
+        + Math.sin(time * 2 * Math.PI / (windGustPeriod * 0.37) + 1.3) * 0.3
+        + Math.sin(time * 2 * Math.PI / (windGustPeriod * 0.13) + 0.4) * 0.2;
+    windState.gustFactor = Math.max(0, 1 + guiState.windGusts * gust);
+    const speed = guiState.windStrength * windMaxSpeed * windState.gustFactor;
+    windVelocity.set(Math.sin(heading) * speed, 0, -Math.cos(heading) * speed);
+
+    waterUniforms.windVelocity.value.set(windVelocity.x, windVelocity.z);
+    rainMaterial.uniforms.rainDrift.value.set(windVelocity.x, windVelocity.z).multiplyScalar(0.5);
+    windSwayUniforms.windSway.value.set(windVelocity.x, windVelocity.z).multiplyScalar(treeSwayAmount / windMaxSpeed);
+    windSwayUniforms.windTime.value = time;
+}
+
+// Patches a tree mesh's material(s) so vertices bend downwind in proportion to their height in the model,
+// with a per-instance flutter phase. Height is normalized by the geometry's bounding box. The mesh also
+// gets patched shadow materials (sun and lantern) so the shadows sway with the crowns. The water's depth
+// prepass draws the trees with its plain override material, so the shoreline depth sees them upright.
+function addWindSway(mesh) {
+    const { geometry } = mesh;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const swayBase = geometry.boundingBox.min.y.toFixed(4);
+    const swayHeight = Math.max(geometry.boundingBox.max.y - geometry.boundingBox.min.y, 1e-4).toFixed(4);
+    for (const material of Array.isArray(mesh.material) ? mesh.material : [mesh.material]) {
+        if (!material || material.userData.windSway) continue; // Shared material already patched
+        material.userData.windSway = true;
+        patchWindSwayShader(material, swayBase, swayHeight);
+    }
+    mesh.customDepthMaterial = patchWindSwayShader(new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), swayBase, swayHeight);
+    mesh.customDistanceMaterial = patchWindSwayShader(new THREE.MeshDistanceMaterial(), swayBase, swayHeight);
+}
+
+function patchWindSwayShader(material, swayBase, swayHeight) {
+    // The shader source depends on the bounding box, so programs must not be shared across boxes
+    material.customProgramCacheKey = () => `windSway:${swayBase}:${swayHeight}`;
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.windSway = windSwayUniforms.windSway;
+        shader.uniforms.windTime = windSwayUniforms.windTime;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+uniform vec2 windSway;
+uniform float windTime;`)
+            .replace('#include <project_vertex>', `
+vec4 mvPosition = vec4( transformed, 1.0 );
+#ifdef USE_INSTANCING
+    mvPosition = instanceMatrix * mvPosition;
+    vec2 swayOrigin = instanceMatrix[3].xz;
+#else
+    vec2 swayOrigin = vec2(0.0);
+#endif
+vec4 swayWorld = modelMatrix * mvPosition;
+float swayHeight = clamp((transformed.y - ${swayBase}) / ${swayHeight}, 0.0, 1.0);
+float swayPhase = dot(swayOrigin, vec2(0.37, 0.61));
+float flutter = 0.75 + 0.25 * sin(windTime * ${treeSwayFrequency.toFixed(2)} * 3.0 + swayPhase);
+swayWorld.xz += windSway * flutter * swayHeight * swayHeight; // Trunk base stays put
+mvPosition = viewMatrix * swayWorld;
+gl_Position = projectionMatrix * mvPosition;`)
+            .replace('#include <worldpos_vertex>', `
+#if defined( USE_ENVMAP ) || defined( DISTANCE ) || defined ( USE_SHADOWMAP ) || defined ( USE_TRANSMISSION ) || NUM_SPOT_LIGHT_COORDS > 0
+    vec4 worldPosition = swayWorld; // Shadow lookups and the lantern's shadow distance use the swayed position
+#endif`);
+    };
+    return material;
+}
+
+// Wind indicator (screen overlay): the arrow points where the wind blows relative to the view
+const windIndicator = document.createElement('div');
+windIndicator.id = 'wind-indicator';
+windIndicator.style.cssText = 'position:absolute;left:12px;bottom:12px;padding:6px 10px;border-radius:6px;'
+    + 'background:rgba(0,0,0,0.45);color:#fff;font:13px sans-serif;pointer-events:none;user-select:none;';
+const windArrow = document.createElement('span');
+windArrow.textContent = '\u2191';
+windArrow.style.cssText = 'display:inline-block;font-size:18px;margin-right:6px;';
+const windLabel = document.createElement('span');
+windIndicator.append(windArrow, windLabel);
+document.body.appendChild(windIndicator);
+const windCameraDirection = new THREE.Vector3();
+
+function updateWindIndicator(activeCamera) {
+    const speed = Math.hypot(windVelocity.x, windVelocity.z);
+    activeCamera.getWorldDirection(windCameraDirection);
+    let viewHeading = Math.atan2(windCameraDirection.x, -windCameraDirection.z);
+    if (Math.abs(windCameraDirection.y) > 0.99) { // Looking straight down: use the camera's up as "forward"
+        windCameraDirection.set(0, 1, 0).applyQuaternion(activeCamera.quaternion);
+        viewHeading = Math.atan2(windCameraDirection.x, -windCameraDirection.z);
+    }
+    const windHeading = Math.atan2(windVelocity.x, -windVelocity.z);
+    windArrow.style.transform = `rotate(${windHeading - viewHeading}rad)`;
+    windArrow.style.visibility = speed > 0.01 ? 'visible' : 'hidden';
+    windLabel.textContent = `Wind ${speed.toFixed(1)}`;
+}
+
+// --- Night Mode ---
+// Fades in stars, the moon (disc, light and water glint) and the boat lantern as the sun sets
+function updateNightSky(tod) {
+    const nightFactor = THREE.MathUtils.smoothstep(-tod.elevation, -5, 8); // 0 above 5 deg, 1 below -8 deg
+    const center = waterCenter.lengthSq() > 0 ? waterCenter : worldOrigin;
+
+    starMaterial.opacity = nightFactor;
+    stars.visible = nightFactor > 0.001;
+
+    // Moon opposite the sun, its disc facing the scene center
+    moonDirection.copy(sun).negate();
+    moon.position.copy(moonDirection).multiplyScalar(starFieldRadius * 0.95);
+    moon.quaternion.setFromUnitVectors(moonBack, moonDirection); // Disc (+Z) faces the nightSky center
+    moonMaterial.opacity = nightFactor;
+    moon.visible = nightFactor > 0.001 && moonDirection.y > -0.05;
+    moonLight.intensity = moonDirection.y > 0 ? moonLightIntensity * nightFactor : 0;
+    moonLight.position.copy(center).addScaledVector(moonDirection, 1500);
+    moonLight.target.position.copy(center);
+    moonLight.target.updateMatrixWorld();
+    waterUniforms.moonGlint.value = moonDirection.y > 0 ? nightFactor : 0;
+
+    // Lanterns. castShadow never changes (that would recompile every lit material); an unlit lantern just
+    // stops re-rendering its shadow map
+    const lanternLevel = guiState.lantern === 'On' ? 1 : guiState.lantern === 'Off' ? 0 : nightFactor;
+    for (const state of boatStates) {
+        state.lanternLight.intensity = lanternIntensity * lanternLevel;
+        state.lanternLight.shadow.autoUpdate = lanternLevel > 0.01;
+    }
+    lanternGlassMaterial.color.set(lanternColor).multiplyScalar(0.25 + 0.75 * lanternLevel);
+}
+
+// --- Sky and Sun Update Function (from Sky snippet) ---
+// Renamed from guiChanged - applies the current time of day to the Sky, lights, fog and exposure
+let sunFallbackWarned = false;
 function updateSkyAndSun() {
    if (!sky || !sunLight || !sunLight.target) return; // Don't run if essential elements aren't ready
 
+   const tod = evaluateTimeOfDay(guiState.timeOfDay, timeOfDayState);
    const uniforms = sky.material.uniforms;
-   // <<< Use hardcoded values from skySettings object >>>
-   uniforms[ 'turbidity' ].value = skySettings.turbidity;
-   uniforms[ 'rayleigh' ].value = skySettings.rayleigh;
-   uniforms[ 'mieCoefficient' ].value = skySettings.mieCoefficient;
-   uniforms[ 'mieDirectionalG' ].value = skySettings.mieDirectionalG;
-
-   // Recalculate sun direction vector using hardcoded elevation/azimuth
-   const phi = THREE.MathUtils.degToRad( 90 - skySettings.elevation );
-   const theta = THREE.MathUtils.degToRad( skySettings.azimuth );
+   uniforms[ 'turbidity' ].value = tod.turbidity;
+   uniforms[ 'rayleigh' ].value = tod.rayleigh;
+   uniforms[ 'mieCoefficient' ].value = tod.mieCoefficient;
+   uniforms[ 'mieDirectionalG' ].value = tod.mieDirectionalG;
+
+   // Recalculate sun direction vector from the time of day elevation/azimuth
+   const phi = THREE.MathUtils.degToRad( 90 - tod.elevation );
+   const theta = THREE.MathUtils.degToRad( tod.azimuth );
    sun.setFromSphericalCoords( 1, phi, theta );
    uniforms[ 'sunPosition' ].value.copy( sun );
 
-   // Update renderer exposure using hardcoded value
-   renderer.toneMappingExposure = skySettings.exposure;
+   // Exposure, lights, fog/background and the water tint follow the time of day
+   renderer.toneMappingExposure = tod.exposure;
+   sunLight.color.copy( tod.sunColor );
+   sunLight.intensity = tod.elevation > 0 ? tod.sunIntensity : 0; // No sunlight through the ground
+   ambLight.color.copy( tod.ambientColor );
+   ambLight.intensity = tod.ambientIntensity;
+   scene.fog.color.copy( tod.fogColor );
+   scene.background.copy( tod.fogColor ); // Horizon matches fog
+   waterUniforms.waterLight.value.copy( tod.waterLight );
+   updateNightSky(tod);
+   updateWeather(tod, clock.elapsedTime);
 
    // Update DirectionalLight to match Sky's sun
    // Ensure waterCenter is valid before using it for positioning
    if (waterCenter.lengthSq() > 0) {
       const lightDistance = 1500; // Keep light distant for parallel rays
-      // Position light source *opposite* to sun direction vector relative to target
-      sunLight.position.copy( waterCenter ).addScaledVector( sun, -lightDistance );
+      // Position light source along the sun direction (`sun` points towards the sun), so it shines down from the sun
+      sunLight.position.copy( waterCenter ).addScaledVector( sun, lightDistance );
       // Target remains the center of the scene
       sunLight.target.position.copy( waterCenter );
       sunLight.target.position.y = WATER_LEVEL_Y; // Aim towards water level
       sunLight.target.updateMatrixWorld(); // Update target matrix
    } else {
        // Fallback positioning if waterCenter isn't ready (e.g., during initial load errors)
-       sunLight.position.copy(sun).multiplyScalar(-1500); // Position based on origin
+       sunLight.position.copy(sun).multiplyScalar(1500); // Position based on origin
        sunLight.target.position.set(0,0,0);
        sunLight.target.updateMatrixWorld();
-       console.warn("waterCenter not ready, using fallback sunLight positioning.");
+       if (!sunFallbackWarned) console.warn("waterCenter not ready, using fallback sunLight positioning.");
+       sunFallbackWarned = true;
    }
 }
 
 
+// --- Minimap ---
+// Orthographic top-down camera fit to the terrain bounds, drawn into a scissored corner viewport after
+// the main pass. The heading arrow and fog-of-war overlay live on minimapLayer so only this camera sees them.
+const minimapCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+minimapCamera.up.set(0, 0, -1); // North (-Z) at the top of the map
+minimapCamera.layers.enable(minimapLayer);
+let minimapReady = false; // Set once the camera has been fit to the terrain
+
+const minimapArrowShape = new THREE.Shape();
+minimapArrowShape.moveTo(0, minimapArrowLength * 0.6);
+minimapArrowShape.lineTo(minimapArrowLength * 0.35, -minimapArrowLength * 0.4);
+minimapArrowShape.lineTo(0, -minimapArrowLength * 0.2);
+minimapArrowShape.lineTo(-minimapArrowLength * 0.35, -minimapArrowLength * 0.4);
+minimapArrowShape.closePath();
+const minimapArrowGeometry = new THREE.ShapeGeometry(minimapArrowShape);
+minimapArrowGeometry.rotateX(-Math.PI / 2); // Lie flat, tip pointing along -Z (boat forward)
+const minimapArrow = new THREE.Mesh(minimapArrowGeometry, new THREE.MeshBasicMaterial({
+    color: 0xff3b30, depthTest: false, depthWrite: false, fog: false, side: THREE.DoubleSide
+}));
+minimapArrow.name = "minimapArrow";
+minimapArrow.layers.set(minimapLayer);
+minimapArrow.renderOrder = 3;
+scene.add(minimapArrow);
+const minimapArrows = [minimapArrow]; // One per boat on the river (see renderMinimap)
+
+// Fog of war: one alpha texel per grid cell over the terrain bounds, cleared where the boat has been
+const fogOfWarData = new Uint8Array(fogOfWarResolution * fogOfWarResolution * 4);
+for (let i = 0; i < fogOfWarResolution * fogOfWarResolution; i++) {
+    fogOfWarData[i * 4 + 3] = 200; // Unexplored: mostly opaque black
+}
+const fogOfWarTexture = new THREE.DataTexture(fogOfWarData, fogOfWarResolution, fogOfWarResolution, THREE.RGBAFormat);
+fogOfWarTexture.magFilter = THREE.LinearFilter;
+fogOfWarTexture.needsUpdate = true;
+const fogOfWarOverlay = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+    new THREE.MeshBasicMaterial({ map: fogOfWarTexture, transparent: true, depthTest: false, depthWrite: false, fog: false })
+);
+fogOfWarOverlay.name = "fogOfWar";
+fogOfWarOverlay.layers.set(minimapLayer);
+fogOfWarOverlay.renderOrder = 2; // Under the arrow
+fogOfWarOverlay.visible = false;
+scene.add(fogOfWarOverlay);
+const fogOfWarBounds = new THREE.Box3();
+
+// Fits the map camera (and the fog-of-war grid) to the terrain's bounding box computed at load
+function fitMinimapToTerrain(terrainBox) {
+    const center = terrainBox.getCenter(new THREE.Vector3());
+    const size = terrainBox.getSize(new THREE.Vector3());
+    const halfExtent = Math.max(size.x, size.z) * 0.5 * 1.02; // Square viewport, small margin
+    minimapCamera.left = -halfExtent; minimapCamera.right = halfExtent;
+    minimapCamera.top = halfExtent; minimapCamera.bottom = -halfExtent;
+    minimapCamera.position.set(center.x, terrainBox.max.y + 10, center.z);
+    minimapCamera.near = 1;
+    minimapCamera.far = size.y + 20 + Math.abs(WATER_LEVEL_Y - terrainBox.min.y);
+    minimapCamera.lookAt(center.x, terrainBox.min.y, center.z);
+    minimapCamera.updateProjectionMatrix();
+    minimapCamera.updateMatrixWorld();
+
+    fogOfWarBounds.copy(terrainBox);
+    fogOfWarOverlay.scale.set(size.x, 1, size.z);
+    fogOfWarOverlay.position.set(center.x, terrainBox.max.y + 1, center.z);
+    minimapArrow.position.y = terrainBox.max.y + 2;
+    minimapReady = true;
+}
+
+// Clears the fog of war in a circle around (x, z)
+function revealFogOfWar(x, z) {
+    if (!minimapReady) return;
+    const sizeX = fogOfWarBounds.max.x - fogOfWarBounds.min.x;
+    const sizeZ = fogOfWarBounds.max.z - fogOfWarBounds.min.z;
+    const cellX = (x - fogOfWarBounds.min.x) / sizeX * fogOfWarResolution;
+    const cellZ = (z - fogOfWarBounds.min.z) / sizeZ * fogOfWarResolution;
+    const radiusX = fogOfWarRevealRadius / sizeX * fogOfWarResolution;
+    const radiusZ = fogOfWarRevealRadius / sizeZ * fogOfWarResolution;
+    let changed = false;
+    for (let j = Math.max(0, Math.floor(cellZ - radiusZ)); j <= Math.min(fogOfWarResolution - 1, Math.ceil(cellZ + radiusZ)); j++) {
+        for (let i = Math.max(0, Math.floor(cellX - radiusX)); i <= Math.min(fogOfWarResolution - 1, Math.ceil(cellX + radiusX)); i++) {
+            const dx = (i + 0.5 - cellX) / radiusX, dz = (j + 0.5 - cellZ) / radiusZ;
+            if (dx * dx + dz * dz > 1) continue;
+            // Plane UV v runs +Z to -Z after the rotation, so texture rows are flipped against world Z
+            const index = ((fogOfWarResolution - 1 - j) * fogOfWarResolution + i) * 4 + 3;
+            if (fogOfWarData[index] !== 0) { fogOfWarData[index] = 0; changed = true; }
+        }
+    }
+    if (changed) fogOfWarTexture.needsUpdate = true;
+}
+
+// Draws the minimap into the bottom-right corner of the canvas (after the main pass)
+const previousClearColor = new THREE.Color();
+function renderMinimap() {
+    if (!minimapReady || !guiState.minimap) return;
+    while (minimapArrows.length < boatStates.length) { // Extra boats get their rower's color
+        const arrow = minimapArrow.clone();
+        arrow.material = minimapArrow.material.clone();
+        arrow.material.color.set(playerTwoBodyColor);
+        scene.add(arrow);
+        minimapArrows.push(arrow);
+    }
+    minimapArrows.forEach((arrow, index) => {
+        const state = boatStates[index];
+        arrow.visible = !!state;
+        if (!state) return;
+        arrow.position.x = state.object.position.x;
+        arrow.position.z = state.object.position.z;
+        arrow.quaternion.copy(state.object.quaternion); // Yaw only, pitch/roll live on boatHull
+    });
+    fogOfWarOverlay.visible = guiState.fogOfWar;
+
+    const mapSize = Math.floor(window.innerHeight * minimapSizeFraction);
+    const left = window.innerWidth - mapSize - minimapMargin;
+    const bottom = minimapMargin;
+
+    // Flat, unfogged and without the screen-space water passes (their textures belong to the main view;
+    // render() sets both flags again before the next main pass)
+    if (waterMaterial && waterMaterial.isShaderMaterial) {
+        waterMaterial.uniforms.reflectionEnabled.value = 0.0;
+        waterMaterial.uniforms.depthPrepassEnabled.value = 0.0;
+    }
+    renderer.getClearColor(previousClearColor);
+    const previousClearAlpha = renderer.getClearAlpha();
+
+    renderer.setScissorTest(true);
+    // Frame
+    renderer.setViewport(left - minimapBorder, bottom - minimapBorder, mapSize + minimapBorder * 2, mapSize + minimapBorder * 2);
+    renderer.setScissor(left - minimapBorder, bottom - minimapBorder, mapSize + minimapBorder * 2, mapSize + minimapBorder * 2);
+    renderer.setClearColor(0x222222, 1);
+    renderer.clear(true, true, false);
+    // Map
+    renderer.setViewport(left, bottom, mapSize, mapSize);
+    renderer.setScissor(left, bottom, mapSize, mapSize);
+    // The star field and cloud dome are still fitted to the main view's camera (fitBackdropToCamera)
+    renderExtraPass(minimapCamera, { hidden: [rainEffect, nightSky, cloudDome], fog: null });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+}
+
+// --- Camera Terrain Queries ---
+const terrainRaycaster = new THREE.Raycaster();
+terrainRaycaster.firstHitOnly = true;
+const terrainRayOrigin = new THREE.Vector3();
+const terrainRayDown = new THREE.Vector3(0, -1, 0);
+
+// Height of the terrain surface under (x, z), or -Infinity when off the terrain / not loaded.
+function getTerrainHeight(x, z) {
+    if (!riverModel) return -Infinity;
+    terrainRayOrigin.set(x, 1e5, z);
+    terrainRaycaster.set(terrainRayOrigin, terrainRayDown);
+    terrainRaycaster.far = Infinity;
+    const hits = terrainRaycaster.intersectObject(riverModel, true);
+    return hits.length > 0 ? hits[0].point.y : -Infinity;
+}
+
+// Distance along a (normalized) ray to the first terrain hit within `far`, or Infinity.
+function castTerrainRay(origin, direction, far) {
+    if (!riverModel) return Infinity;
+    terrainRaycaster.set(origin, direction);
+    terrainRaycaster.far = far;
+    const hits = terrainRaycaster.intersectObject(riverModel, true);
+    return hits.length > 0 ? hits[0].distance : Infinity;
+}
+
+// Third-person spring arm: shortens the pivot -> camera arm when terrain is in the way (snapping in),
+// then eases back out once clear. `arm.length` is the current length (Infinity = fully extended).
+// Returns the arm-limited camera position in `target`.
+const springArmPivot = new THREE.Vector3();
+const springArmDirection = new THREE.Vector3();
+const thirdPersonSpringArm = { length: Infinity };
+const playerTwoSpringArm = { length: Infinity };
+
+function applySpringArm(arm, boatPosition, desiredPosition, deltaTime, target) {
+    springArmPivot.copy(boatPosition);
+    springArmPivot.y += springArmPivotHeight;
+    springArmDirection.copy(desiredPosition).sub(springArmPivot);
+    const desiredLength = springArmDirection.length();
+    if (desiredLength < 1e-6) return target.copy(desiredPosition);
+    springArmDirection.divideScalar(desiredLength);
+
+    const blockedAt = castTerrainRay(springArmPivot, springArmDirection, desiredLength + springArmMargin);
+    const allowedLength = Math.max(springArmMinLength, Math.min(desiredLength, blockedAt - springArmMargin));
+    if (allowedLength < arm.length) {
+        arm.length = allowedLength; // Pull in at once so the view never goes inside a hill
+    } else {
+        arm.length += (allowedLength - arm.length) * (1 - Math.exp(-springArmReturnRate * deltaTime));
+    }
+    return target.copy(springArmPivot).addScaledVector(springArmDirection, arm.length);
+}
+
+// The chase lerp lags behind the arm, so also pull the camera itself out of any hill between it and the pivot.
+function keepCameraInFrontOfTerrain(cameraToFix) {
+    springArmDirection.copy(cameraToFix.position).sub(springArmPivot);
+    const length = springArmDirection.length();
+    if (length < 1e-6) return;
+    springArmDirection.divideScalar(length);
+    const blockedAt = castTerrainRay(springArmPivot, springArmDirection, length + springArmMargin);
+    if (blockedAt - springArmMargin < length) {
+        cameraToFix.position.copy(springArmPivot).addScaledVector(springArmDirection, Math.max(springArmMinLength, blockedAt - springArmMargin));
+    }
+}
+
+// Third-person chase: eases the camera towards thirdPersonOffset behind the boat (spring arm limited),
+// looking slightly ahead of the bow.
+function updateChaseCamera(chaseCamera, boatObject, arm, deltaTime) {
+    boatObject.getWorldPosition(boatWorldPosition);
+    boatObject.getWorldQuaternion(boatWorldQuaternion);
+    // Calculate position behind boat, ensure minimum height
+    desiredCamPos.copy(thirdPersonOffset).multiplyScalar(chaseCameraZoom).applyQuaternion(boatWorldQuaternion).add(boatWorldPosition);
+    desiredCamPos.y = Math.max(WATER_LEVEL_Y + 2, desiredCamPos.y); // Ensure minimum height
+    // Look slightly ahead and below boat
+    const lookAtOffset = new THREE.Vector3(0, -1, -10); // Look slightly down
+    const lookAtTarget = lookAtOffset.applyQuaternion(boatWorldQuaternion).add(boatWorldPosition);
+    lookAtTarget.y = Math.max(WATER_LEVEL_Y - 2, lookAtTarget.y); // Ensure look target isn't too low
+    applySpringArm(arm, boatWorldPosition, desiredCamPos, deltaTime, desiredCamPos); // Pull in in front of hills
+    chaseCamera.position.lerp(desiredCamPos, cameraLerpFactor);
+    keepCameraInFrontOfTerrain(chaseCamera);
+    chaseCamera.lookAt(lookAtTarget);
+}
+
+// Keeps the orbit camera centred on the boat as it moves (any pan offset is kept, up to orbitMaxPan)
+// and holds it above the water and terrain.
+function updateOrbitCamera(boatPosition) {
+    orbitFollowDelta.copy(boatPosition).sub(orbitLastBoatPosition);
+    orbitCamera.position.add(orbitFollowDelta);
+    orbitControls.target.add(orbitFollowDelta);
+    orbitLastBoatPosition.copy(boatPosition);
+
+    orbitPanOffset.copy(orbitControls.target).sub(boatPosition);
+    if (orbitPanOffset.length() > orbitMaxPan) {
+        orbitFollowDelta.copy(orbitPanOffset).setLength(orbitPanOffset.length() - orbitMaxPan);
+        orbitControls.target.sub(orbitFollowDelta);
+        orbitCamera.position.sub(orbitFollowDelta);
+    }
+    orbitControls.target.y = Math.max(orbitControls.target.y, WATER_LEVEL_Y);
+    orbitControls.update();
+
+    const floorY = Math.max(WATER_LEVEL_Y, getTerrainHeight(orbitCamera.position.x, orbitCamera.position.z)) + orbitMinClearance;
+    if (orbitCamera.position.y < floorY) {
+        orbitCamera.position.y = floorY;
+        orbitCamera.lookAt(orbitControls.target);
+    }
+}
+
+// --- First Person Camera ---
+// Not parented to the head (the boat is scaled, which would scale the view), but placed from its world
+// transform each step, so it follows the hull's heave/pitch/roll and bobs with the rowing stroke.
+const firstPersonEye = new THREE.Vector3();
+
+function updateFirstPersonCamera(time) {
+    const { head, currentSpeed } = playerOne;
+    // Same stroke cycle and intensity as the arm/oar animation
+    const bobIntensity = Math.min(1, Math.abs(currentSpeed) / (maxSpeed * 0.75));
+    const strokeTime = time * rowingSpeedFactor * (currentSpeed < 0 ? -1 : 1);
+    const pullPhase = Math.sin(strokeTime);
+    firstPersonEye.copy(firstPersonEyeOffset);
+    firstPersonEye.y += Math.sin(strokeTime * 2) * firstPersonBobHeight * bobIntensity; // Two dips per stroke (catch and release)
+    firstPersonEye.z += pullPhase * firstPersonBobLean * bobIntensity; // Lean back on the pull
+    head.updateWorldMatrix(true, false); // The boat and hull moved this step
+    head.localToWorld(firstPersonEye);
+    firstPersonCamera.position.copy(firstPersonEye);
+    head.getWorldQuaternion(firstPersonCamera.quaternion);
+    firstPersonCamera.rotateX(-firstPersonLookDown + pullPhase * firstPersonBobPitch * bobIntensity);
+}
+
 // --- Render Loop Variables ---
 const clock = new THREE.Clock();
 const boatWorldPosition = new THREE.Vector3();
 const boatWorldQuaternion = new THREE.Quaternion();
 const desiredCamPos = new THREE.Vector3();
 const worldRayOrigin = new THREE.Vector3();
-const worldRayDirection = new THREE.Vector3();
-const collisionNormal = new THREE.Vector3();
+
+/**
+ * One fixed step for a boat: the physics (stepBoatPhysics in boatSimulation.js), then rowing
+ * animation, wake and buoyancy.
+ */
+function stepBoat(state, deltaTime, elapsedTime) {
+    const boatObject = state.object;
+    const { buoyancy, leftUpperArm, rightUpperArm, leftOar, rightOar } = state;
+    stepBoatPhysics(state, deltaTime, { boundaryMesh, flowField: riverFlowField, windVelocity });
+
+    // <<< Arm and Oar Animation from Oar/Arm Snippet >>>
+    if (leftUpperArm && rightUpperArm && leftOar && rightOar) {
+        const animIntensity = Math.min(1, Math.abs(state.currentSpeed) / (maxSpeed * 0.75));
+        // Run the stroke cycle backwards when backing up
+        const time = elapsedTime * rowingSpeedFactor * (state.currentSpeed < 0 ? -1 : 1);
+
+        // Create a more natural rowing motion with proper pull and dip
+        const pullPhase = Math.sin(time);
+        const dipPhase = Math.sin(time + Math.PI/2); // Use sin offset for smoother dip
+
+        // Calculate angles based on phases
+        const rowingAngle = (pullPhase * 0.5 + 0.5) * maxRowingAngle * animIntensity; // Back-and-forth swing (0 to max angle)
+        const forwardAngle = dipPhase * (Math.PI / 4) * animIntensity; // Sideways twist for forward reach
+        const bladeAngle = Math.abs(dipPhase) * 0.5 * animIntensity; // Oar blade rotation (feathering) - Use dipPhase
+
+        // Left arm and oar
+        leftUpperArm.rotation.x = baseArmAngle + rowingAngle;
+        leftUpperArm.rotation.z = Math.PI / 6 - forwardAngle; // Base outward angle + forward reach twist
+        // Oar follows arm with additional blade rotation
+        leftOar.rotation.x = baseArmAngle + rowingAngle;
+        leftOar.rotation.z = Math.PI / 6 - forwardAngle;
+        leftOar.rotation.y = -bladeAngle; // Feathering rotation
+        // Adjust oar Y position dynamically based on hand movement (simplified) using the corrected base Y
+        leftOar.position.y = oarPivotY + Math.sin(time) * 0.1 * animIntensity; // Use oarPivotY + vertical oscillation
+
+        // Right arm and oar
+        rightUpperArm.rotation.x = baseArmAngle + rowingAngle;
+        rightUpperArm.rotation.z = -Math.PI / 6 + forwardAngle; // Base outward angle + forward reach twist
+        // Oar follows arm with additional blade rotation
+        rightOar.rotation.x = baseArmAngle + rowingAngle;
+        rightOar.rotation.z = -Math.PI / 6 + forwardAngle;
+        rightOar.rotation.y = bladeAngle; // Feathering rotation
+        // Adjust oar Y position dynamically based on hand movement (simplified) using the corrected base Y
+        rightOar.position.y = oarPivotY + Math.sin(time) * 0.1 * animIntensity; // Use oarPivotY + vertical oscillation
+
+        // Oar splashes: a ring under each blade at the catch (start of the pull)
+        if (state.previousStrokePhase < 0 && pullPhase >= 0 && animIntensity > 0.1 && !replayState.seeking) {
+            for (const blade of [state.leftBlade, state.rightBlade]) {
+                blade.getWorldPosition(worldRayOrigin);
+                emitWakePoint(worldRayOrigin.x, worldRayOrigin.z, elapsedTime, oarSplashStrength * animIntensity);
+            }
+        }
+        state.previousStrokePhase = pullPhase;
+    }
+    // <<< End Oar/Arm Animation Block >>>
+
+    // Minimap: mark the water around the boat as explored (not for the water skipped over by a replay seek)
+    if (!replayState.seeking) revealFogOfWar(boatObject.position.x, boatObject.position.z);
+
+    // Hull wake: drop a ring at the stern every wakeSampleInterval while moving through the water.
+    // The sample time still advances while seeking so the replay stays in step with the recording.
+    if (Math.abs(state.currentSpeed) > wakeMinSpeed && elapsedTime - state.lastWakeSampleTime >= wakeSampleInterval) {
+        if (!replayState.seeking) {
+            worldRayOrigin.copy(state.currentSpeed >= 0 ? sternRayCheckPoints[0] : rayCheckPoints[0]).applyMatrix4(boatObject.matrixWorld);
+            emitWakePoint(worldRayOrigin.x, worldRayOrigin.z, elapsedTime, Math.min(1, Math.abs(state.currentSpeed) / maxSpeed));
+        }
+        state.lastWakeSampleTime = elapsedTime;
+    }
+
+    // Buoyancy: sample the waves under the hull and spring heave/pitch/roll towards them
+    const waveAt = (point) => {
+        worldRayOrigin.copy(point).applyMatrix4(boatObject.matrixWorld);
+        return getWaterSurfaceHeight(worldRayOrigin.x, worldRayOrigin.z, elapsedTime) - WATER_LEVEL_Y;
+    };
+    const bowHeight = waveAt(buoyancySamplePoints.bow), sternHeight = waveAt(buoyancySamplePoints.stern);
+    const portHeight = waveAt(buoyancySamplePoints.port), starboardHeight = waveAt(buoyancySamplePoints.starboard);
+    const rowIntensity = Math.min(1, Math.abs(state.currentSpeed) / (maxSpeed * 0.75));
+    const strokePhase = Math.sin(elapsedTime * rowingSpeedFactor);
+    const targetHeave = (bowHeight + sternHeight + portHeight + starboardHeight) / 4;
+    const targetPitch = Math.atan2(bowHeight - sternHeight, 2 * hullHalfLength * boatScale)
+        + Math.max(0, strokePhase) * rowingPitchAmount * rowIntensity; // Bow lifts on the pull
+    const targetRoll = Math.atan2(starboardHeight - portHeight, 2 * hullHalfWidth * boatScale)
+        + strokePhase * rowingRollAmount * rowIntensity
+        + state.angularVelocity * (state.currentSpeed / maxSpeed) * turnRollFactor / maxAngularSpeed; // Heel into turns
+    const spring = (value, velocity, target) => velocity + (buoyancyStiffness * (target - value) - buoyancyDamping * velocity) * deltaTime;
+    buoyancy.heaveVelocity = spring(buoyancy.heave, buoyancy.heaveVelocity, targetHeave);
+    buoyancy.pitchVelocity = spring(buoyancy.pitch, buoyancy.pitchVelocity, targetPitch);
+    buoyancy.rollVelocity = spring(buoyancy.roll, buoyancy.rollVelocity, targetRoll);
+    buoyancy.heave += buoyancy.heaveVelocity * deltaTime;
+    buoyancy.pitch = THREE.MathUtils.clamp(buoyancy.pitch + buoyancy.pitchVelocity * deltaTime, -maxBuoyancyTilt, maxBuoyancyTilt);
+    buoyancy.roll = THREE.MathUtils.clamp(buoyancy.roll + buoyancy.rollVelocity * deltaTime, -maxBuoyancyTilt, maxBuoyancyTilt);
+    state.hull.position.y = buoyancy.heave / boatScale; // Hull is inside the scaled boat
+    state.hull.rotation.set(buoyancy.pitch, 0, buoyancy.roll);
+}
+
+/**
+ * Renders the scene from one camera into a viewport (CSS pixels, origin bottom-left), including the
+ * water's reflection pass and depth prepass for that view.
+ */
+function renderView(viewCamera, left, bottom, width, height) {
+    fitBackdropToCamera(viewCamera);
+
+    // Water reflection pass (before the main render, which samples it)
+    if (waterMaterial && waterMaterial.isShaderMaterial && waterMesh) {
+        const reflected = guiState.reflections && renderWaterReflection(viewCamera);
+        waterMaterial.uniforms.reflectionEnabled.value = reflected ? 1.0 : 0.0;
+
+        // Depth prepass from the same camera (perspective only, the shader linearizes with near/far).
+        // Drawn into the same pixel rectangle as the view, since the shader samples it at gl_FragCoord.
+        const depthPass = !!viewCamera.isPerspectiveCamera;
+        if (depthPass) {
+            const pixelRatio = renderer.getPixelRatio();
+            depthRenderTarget.viewport.set(
+                Math.floor(left * pixelRatio), Math.floor(bottom * pixelRatio),
+                Math.floor(width * pixelRatio), Math.floor(height * pixelRatio)
+            );
+            renderDepthPrepass(viewCamera);
+            waterMaterial.uniforms.cameraNear.value = viewCamera.near;
+            waterMaterial.uniforms.cameraFar.value = viewCamera.far;
+        }
+        waterMaterial.uniforms.depthPrepassEnabled.value = depthPass ? 1.0 : 0.0;
+    }
+
+    viewCamera.getWorldPosition(rainMaterial.uniforms.rainCenter.value); // Rain falls around the viewer
+
+    renderer.setViewport(left, bottom, width, height);
+    renderer.setScissor(left, bottom, width, height);
+    renderer.render(scene, viewCamera);
+}
+
+/**
+ * One fixed physics step: wind, controls (live input, or the recorded controls when replaying) and the
+ * boats. Everything it reads is either in the boat states or derived from simulationTime, which makes
+ * a run reproducible from its starting state and controls. Returns the simulation time of the step.
+ */
+function stepSimulation(deltaTime) {
+    const elapsedTime = simulationTime;
+
+    // Controls (keyboard + gamepads + touch) for this step; a replay also restores the settings here
+    if (replayState.mode === 'replaying') {
+        applyReplayStep();
+    } else {
+        updateBoatControls();
+        if (replayState.mode === 'recording') recordReplayStep();
+    }
+    updateWind(elapsedTime);
+
+    // Boat Physics Update
+    if (boundaryMesh && boundaryMesh.geometry) { // Check geometry existence
+        for (const state of boatStates) stepBoat(state, deltaTime, elapsedTime);
+        resolveBoatCollisions(boatStates, hullHalfLength, hullHalfWidth, boundaryMesh);
+    } // End boat physics update
+
+    simulationTime += deltaTime;
+    if (replayState.mode === 'replaying') advanceReplayStep();
+    return elapsedTime;
+}
 
 /**
  * Render loop: Handles updates and rendering
  */
 function render() {
     const deltaTime = Math.min(clock.getDelta(), 0.05); // Cap delta time
-    timeAccumulator += deltaTime;
+    // Replays run at their own speed (0 while paused on a frame)
+    const playbackRate = replayState.mode === 'replaying' ? (replayState.playing ? replayState.speed : 0) : 1;
+    timeAccumulator += deltaTime * playbackRate;
+
+    if (guiState.paused) timeAccumulator = 0; // Frozen: no physics, animation or camera follow
 
     // Use fixed timestep loop
     while (timeAccumulator >= targetFrameDuration) {
         const effectiveDeltaTime = targetFrameDuration;
         timeAccumulator -= targetFrameDuration;
 
-        const elapsedTime = clock.elapsedTime; // Use property instead of method inside loop
+        if (replayState.mode === 'replaying' && replayState.step >= replayState.totalSteps) { // End of the replay
+            replayState.playing = false;
+            timeAccumulator = 0;
+            break;
+        }
 
         // --- Update Logic ---
+        // Day/night cycle
+        advanceTimeOfDay(effectiveDeltaTime);
+        advanceWeather(effectiveDeltaTime);
+
+        // Wind, controls and boat physics (the replayable part)
+        const elapsedTime = stepSimulation(effectiveDeltaTime);
+        if (sceneReady) updateSkyAndSun();
+
         // Update water shader time uniform
         if (waterMaterial && waterMaterial.isShaderMaterial) {
             waterMaterial.uniforms.time.value = elapsedTime;
         }
 
-        // Boat Physics Update
-        if (boat && boundaryMesh && boundaryMesh.geometry) { // Check geometry existence
-            // Apply rotation
-            if (isTurningLeft) { boat.rotateY(turnRate * effectiveDeltaTime); }
-            if (isTurningRight) { boat.rotateY(-turnRate * effectiveDeltaTime); }
-
-            // Update speed
-            if (isAccelerating) { currentSpeed += accelerationRate * effectiveDeltaTime; }
-            else if (currentSpeed > 0) { currentSpeed -= decelerationRate * effectiveDeltaTime; }
-            currentSpeed = Math.max(0, Math.min(currentSpeed, maxSpeed)); // Clamp speed
-
-            // Collision Detection & Response
-            let proposedDisplacementZ = -currentSpeed * effectiveDeltaTime;
-            if (currentSpeed > 0.01) {
-                boat.getWorldQuaternion(boatWorldQuaternion);
-                const worldBoatForward = boatForward.clone().applyQuaternion(boatWorldQuaternion).normalize();
-                let collisionDetected = false;
-
-                for (const point of rayCheckPoints) {
-                    worldRayOrigin.copy(point).applyMatrix4(boat.matrixWorld);
-                    worldRayDirection.copy(worldBoatForward);
-                    raycaster.set(worldRayOrigin, worldRayDirection);
-                    raycaster.far = collisionCheckDistance;
-
-                    // boundaryMesh.updateMatrixWorld(true); // Avoid in loop if boundary is static
-
-                    const intersects = raycaster.intersectObject(boundaryMesh, false);
-
-                    if (intersects.length > 0 && intersects[0].distance < Math.abs(proposedDisplacementZ) + 0.1) {
-                        const intersect = intersects[0];
-                        if (intersect.face && intersect.face.normal) { // Check face and normal exist
-                             collisionNormal.copy(intersect.face.normal).transformDirection(boundaryMesh.matrixWorld).normalize();
-                        } else {
-                            collisionNormal.copy(worldBoatForward).multiplyScalar(-1); // Fallback normal
-                        }
-                        proposedDisplacementZ = 0; // Prevent penetration
-                        currentSpeed *= collisionDamping; // Damp speed
-                        boat.position.addScaledVector(collisionNormal, collisionNudge); // Nudge away
-                        collisionDetected = true;
-                        break; // Stop checking after first hit
-                    }
-                }
-            }
-
-            // Apply final displacement
-            if (Math.abs(proposedDisplacementZ) > 0.0001) {
-                boat.translateZ(proposedDisplacementZ);
-            }
-            // Keep boat slightly above water level if needed, or directly on it
-            boat.position.y = WATER_LEVEL_Y; // Set Y directly to water level
-
-            // <<< Arm and Oar Animation from Oar/Arm Snippet >>>
-            if (leftUpperArmRef && rightUpperArmRef && leftOarRef && rightOarRef) {
-                const animIntensity = Math.min(1, currentSpeed / (maxSpeed * 0.75));
-                const time = elapsedTime * rowingSpeedFactor;
-
-                // Create a more natural rowing motion with proper pull and dip
-                const pullPhase = Math.sin(time);
-                const dipPhase = Math.sin(time + Math.PI/2); // Use sin offset for smoother dip
-
-                // Calculate angles based on phases
-                const rowingAngle = (pullPhase * 0.5 + 0.5) * maxRowingAngle * animIntensity; // Back-and-forth swing (0 to max angle)
-                const forwardAngle = dipPhase * (Math.PI / 4) * animIntensity; // Sideways twist for forward reach
-                const bladeAngle = Math.abs(dipPhase) * 0.5 * animIntensity; // Oar blade rotation (feathering) - Use dipPhase
-
-                // Left arm and oar
-                leftUpperArmRef.rotation.x = baseArmAngle + rowingAngle;
-                leftUpperArmRef.rotation.z = Math.PI / 6 - forwardAngle; // Base outward angle + forward reach twist
-                // Oar follows arm with additional blade rotation
-                leftOarRef.rotation.x = baseArmAngle + rowingAngle;
-                leftOarRef.rotation.z = Math.PI / 6 - forwardAngle;
-                leftOarRef.rotation.y = -bladeAngle; // Feathering rotation
-                // Adjust oar Y position dynamically based on hand movement (simplified) using the corrected base Y
-                leftOarRef.position.y = oarPivotY + Math.sin(time) * 0.1 * animIntensity; // Use oarPivotY + vertical oscillation
-
-                // Right arm and oar
-                rightUpperArmRef.rotation.x = baseArmAngle + rowingAngle;
-                rightUpperArmRef.rotation.z = -Math.PI / 6 + forwardAngle; // Base outward angle + forward reach twist
-                // Oar follows arm with additional blade rotation
-                rightOarRef.rotation.x = baseArmAngle + rowingAngle;
-                rightOarRef.rotation.z = -Math.PI / 6 + forwardAngle;
-                rightOarRef.rotation.y = bladeAngle; // Feathering rotation
-                // Adjust oar Y position dynamically based on hand movement (simplified) using the corrected base Y
-                rightOarRef.position.y = oarPivotY + Math.sin(time) * 0.1 * animIntensity; // Use oarPivotY + vertical oscillation
-            }
-            // <<< End Oar/Arm Animation Block >>>
-
-        } // End boat physics update
-
         // Update Cameras
         if (boat) { // Only update cameras if boat exists
              if (currentCamera === camera) { // 'Overhead' view
                  boat.getWorldPosition(boatWorldPosition);
                  // Keep camera position relative to boat, ensure minimum height above water
-                 desiredCamPos.copy(boatWorldPosition).add(chaseCameraOffset);
+                 desiredCamPos.copy(chaseCameraOffset).multiplyScalar(chaseCameraZoom).add(boatWorldPosition);
                  desiredCamPos.y = Math.max(WATER_LEVEL_Y + 10, desiredCamPos.y); // Ensure minimum height
                  // Look slightly below boat
                  const lookAtTarget = new THREE.Vector3(boatWorldPosition.x, Math.max(WATER_LEVEL_Y - 5, boatWorldPosition.y - 5), boatWorldPosition.z);
                  camera.position.lerp(desiredCamPos, cameraLerpFactor);
                  camera.lookAt(lookAtTarget);
              } else if (currentCamera === thirdPersonCamera) { // Third person view
-                 boat.getWorldPosition(boatWorldPosition);
-                 boat.getWorldQuaternion(boatWorldQuaternion);
-                 // Calculate position behind boat, ensure minimum height
-                 desiredCamPos.copy(thirdPersonOffset).applyQuaternion(boatWorldQuaternion).add(boatWorldPosition);
-                 desiredCamPos.y = Math.max(WATER_LEVEL_Y + 2, desiredCamPos.y); // Ensure minimum height
-                 // Look slightly ahead and below boat
-                 const lookAtOffset = new THREE.Vector3(0, -1, -10); // Look slightly down
-                 const lookAtTarget = lookAtOffset.applyQuaternion(boatWorldQuaternion).add(boatWorldPosition);
-                 lookAtTarget.y = Math.max(WATER_LEVEL_Y - 2, lookAtTarget.y); // Ensure look target isn't too low
-                 thirdPersonCamera.position.lerp(desiredCamPos, cameraLerpFactor);
-                 thirdPersonCamera.lookAt(lookAtTarget);
+                 updateChaseCamera(thirdPersonCamera, boat, thirdPersonSpringArm, effectiveDeltaTime);
+             } else if (currentCamera === firstPersonCamera) { // Rower's eye view
+                 updateFirstPersonCamera(elapsedTime);
+             } else if (currentCamera === cinematicCamera) { // Flythrough
+                 updateCinematicCamera(effectiveDeltaTime);
              }
          }
+         // Player two always gets a third-person chase view of their own boat
+         if (guiState.splitScreen && playerTwo) {
+             updateChaseCamera(playerTwoCamera, playerTwo.object, playerTwoSpringArm, effectiveDeltaTime);
+         }
 
     } // End fixed timestep loop
 
-    // Render Scene
-    renderer.render(scene, currentCamera);
+    // Orbit inspection view: once per frame, so dragging and damping also work while paused
+    if (boat && currentCamera === orbitCamera) {
+        boat.getWorldPosition(boatWorldPosition);
+        updateOrbitCamera(boatWorldPosition);
+    }
+
+    updateWindIndicator(currentCamera);
+
+    // Render Scene (left/right halves in split screen: player one's camera, then player two's chase camera)
+    if (guiState.splitScreen && playerTwo) {
+        const halfWidth = Math.floor(window.innerWidth / 2);
+        renderer.setScissorTest(true);
+        renderView(currentCamera, 0, 0, halfWidth, window.innerHeight);
+        // The shadow maps don't depend on the view: the first one rendered them for both
+        const previousShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+        renderer.shadowMap.autoUpdate = false;
+        renderView(playerTwoCamera, halfWidth, 0, window.innerWidth - halfWidth, window.innerHeight);
+        renderer.shadowMap.autoUpdate = previousShadowAutoUpdate;
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+    } else {
+        renderView(currentCamera, 0, 0, window.innerWidth, window.innerHeight);
+    }
+    renderMinimap();
 }
 
 // <<< MOVED setAnimationLoop call AFTER clock is defined and render is defined >>>
@@ -833,36 +2721,257 @@ renderer.setAnimationLoop(render);
 
 // --- Keyboard Event Listeners ---
 // [2025-02-28] Keep all the comments that were there in the original files.
+// Keys are looked up in the rebindable key map (see Key Bindings). Player one's keys default to WASD and
+// player two's to the arrow keys; with a single boat both sets drive it
+function boatInputForKey(key) {
+    const action = actionsByKey.get(key);
+    if (!action || !action.input) return null;
+    const state = (action.player === 2 && guiState.splitScreen && playerTwo) ? playerTwo : playerOne;
+    return { state, action: action.input };
+}
+
 document.addEventListener("keydown", (event) => {
     if (event.target.tagName === 'INPUT' || event.target.isContentEditable) return;
     const key = event.key.toLowerCase();
-    switch (key) {
-        case 'w': case 'arrowup': isAccelerating = true; break;
-        case 'a': case 'arrowleft': isTurningLeft = true; isTurningRight = false; break;
-        case 'd': case 'arrowright': isTurningRight = true; isTurningLeft = false; break;
-        // <<< REMOVED 'q' keybind for axes helper >>>
-        default: break;
+    if (rebindingAction) { // The GUI is waiting for a new key
+        event.preventDefault();
+        finishRebinding(key);
+        return;
     }
+    const binding = boatInputForKey(key);
+    if (!binding) {
+        if (event.repeat) return;
+        const action = actionsByKey.get(key);
+        if (!action) return;
+        if (action.id === 'switchCamera') cycleCameraMode();
+        else if (action.id === 'pause') setPaused(!guiState.paused);
+        else if (action.id === 'toggleMinimap') { guiState.minimap = !guiState.minimap; placeRowButton(); }
+        return;
+    }
+    if (cinematicState.playing) stopCinematic(); // Steering takes over from the attract mode
+    const input = binding.state.input;
+    input[binding.action] = true;
+    if (binding.action === 'turnLeft') input.turnRight = false;
+    if (binding.action === 'turnRight') input.turnLeft = false;
+    // <<< REMOVED 'q' keybind for axes helper >>>
 });
 document.addEventListener("keyup", (event) => {
     // [2025-02-28] Keep all the comments that were there in the original files.
     if (event.target.tagName === 'INPUT' || event.target.isContentEditable) return;
-    const key = event.key.toLowerCase();
-    switch (key) {
-        case 'w': case 'arrowup': isAccelerating = false; break;
-        case 'a': case 'arrowleft': isTurningLeft = false; break;
-        case 'd': case 'arrowright': isTurningRight = false; break;
+    const binding = boatInputForKey(event.key.toLowerCase());
+    if (binding) binding.state.input[binding.action] = false;
+});
+
+// --- Gamepad Input ---
+// Keyboard and gamepads are both reduced to an analog throttle (-1 reverse .. 1 forward) and steer
+// (-1 left .. 1 right) per boat. Pads are polled once per fixed step; the first connected pad drives
+// player one and the second player two (in split screen).
+const connectedGamepads = []; // Gamepad indices in connection order
+
+window.addEventListener('gamepadconnected', (event) => {
+    if (!connectedGamepads.includes(event.gamepad.index)) connectedGamepads.push(event.gamepad.index);
+    console.log(`Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'non-standard'} mapping)`);
+    if (event.gamepad.mapping !== 'standard') console.warn("Gamepad has no standard mapping, triggers/stick may be assigned differently.");
+});
+window.addEventListener('gamepaddisconnected', (event) => {
+    const index = connectedGamepads.indexOf(event.gamepad.index);
+    if (index !== -1) connectedGamepads.splice(index, 1);
+    console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+});
+
+// Ignore values inside the deadzone and rescale the rest so output still spans 0..1
+function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+function readGamepadControls(gamepad, target) {
+    const deadzone = guiState.gamepadDeadzone;
+    const forward = gamepad.buttons[gamepadThrottleButton] ? applyDeadzone(gamepad.buttons[gamepadThrottleButton].value, deadzone) : 0;
+    const backward = gamepad.buttons[gamepadReverseButton] ? applyDeadzone(gamepad.buttons[gamepadReverseButton].value, deadzone) : 0;
+    const steer = gamepad.axes.length > gamepadSteerAxis ? applyDeadzone(gamepad.axes[gamepadSteerAxis], deadzone) : 0;
+    target.throttle = (forward - backward) * (guiState.gamepadInvertThrottle ? -1 : 1);
+    target.steer = steer * (guiState.gamepadInvertSteering ? -1 : 1);
+    return target;
+}
+
+const gamepadControls = { throttle: 0, steer: 0 };
+
+function updateBoatControls() {
+    const gamepads = (connectedGamepads.length > 0 && navigator.getGamepads) ? navigator.getGamepads() : [];
+    let padInUse = false; // Gamepad or touch input this step
+    boatStates.forEach((state, index) => {
+        const { input, controls } = state;
+        // Keyboard: held keys are full deflection
+        controls.throttle = (input.accelerate ? 1 : 0) - (input.reverse ? 1 : 0);
+        controls.steer = (input.turnRight ? 1 : 0) - (input.turnLeft ? 1 : 0);
+        // On-screen touch controls drive player one
+        if (state === playerOne && touchControls.active) {
+            controls.throttle = THREE.MathUtils.clamp(controls.throttle + touchControls.throttle, -1, 1);
+            controls.steer = THREE.MathUtils.clamp(controls.steer + touchControls.steer, -1, 1);
+            padInUse = padInUse || touchControls.throttle !== 0 || touchControls.steer !== 0;
+        }
+        // Gamepad for this player adds on top, clamped to full deflection
+        const gamepad = gamepads[connectedGamepads[index]];
+        if (gamepad && gamepad.connected) {
+            readGamepadControls(gamepad, gamepadControls);
+            controls.throttle = THREE.MathUtils.clamp(controls.throttle + gamepadControls.throttle, -1, 1);
+            controls.steer = THREE.MathUtils.clamp(controls.steer + gamepadControls.steer, -1, 1);
+            padInUse = padInUse || gamepadControls.throttle !== 0 || gamepadControls.steer !== 0;
+        }
+    });
+    if (padInUse && cinematicState.playing) stopCinematic(); // Steering takes over from the attract mode
+}
+
+// --- Touch Controls ---
+// Virtual joystick (steer + throttle) and a row button, each tracking its own pointer so both can be
+// held at once. Shown automatically on touch devices (or at the first touch). Two fingers on the canvas
+// pinch the chase camera distance. Feeds updateBoatControls like a gamepad does.
+const touchControls = { throttle: 0, steer: 0, active: false, stickX: 0, stickY: 0, rowing: false };
+let chaseCameraZoom = 1.0; // Multiplier on the chase camera offsets (pinch to zoom)
+
+const touchOverlay = document.createElement('div');
+touchOverlay.id = 'touch-controls';
+touchOverlay.style.cssText = 'display:none;';
+const joystickBase = document.createElement('div');
+joystickBase.style.cssText = `position:absolute;left:24px;bottom:56px;width:${touchJoystickRadius * 2}px;height:${touchJoystickRadius * 2}px;`
+    + 'border-radius:50%;background:rgba(255,255,255,0.15);border:2px solid rgba(255,255,255,0.4);touch-action:none;user-select:none;';
+const joystickKnob = document.createElement('div');
+joystickKnob.style.cssText = `position:absolute;left:${touchJoystickRadius - 24}px;top:${touchJoystickRadius - 24}px;width:48px;height:48px;`
+    + 'border-radius:50%;background:rgba(255,255,255,0.6);pointer-events:none;';
+joystickBase.appendChild(joystickKnob);
+const rowButton = document.createElement('div');
+rowButton.textContent = 'ROW';
+rowButton.style.cssText = 'position:absolute;right:24px;width:88px;height:88px;'
+    + 'border-radius:50%;background:rgba(255,255,255,0.2);border:2px solid rgba(255,255,255,0.5);color:#fff;font:bold 16px sans-serif;'
+    + 'display:flex;align-items:center;justify-content:center;touch-action:none;user-select:none;';
+touchOverlay.append(joystickBase, rowButton);
+document.body.appendChild(touchOverlay);
+placeRowButton();
+
+// Above the minimap while it is shown, level with the joystick otherwise
+function placeRowButton() {
+    rowButton.style.bottom = guiState.minimap ? `calc(${minimapSizeFraction * 100}vh + ${minimapMargin + 24}px)` : '56px';
+}
+
+function showTouchControls() {
+    if (touchControls.active) return;
+    touchControls.active = true;
+    touchOverlay.style.display = 'block';
+}
+if ('ontouchstart' in window || navigator.maxTouchPoints > 0) showTouchControls();
+window.addEventListener('pointerdown', (event) => { if (event.pointerType === 'touch') showTouchControls(); });
+
+function updateTouchAxes() {
+    touchControls.steer = touchControls.stickX;
+    touchControls.throttle = THREE.MathUtils.clamp(-touchControls.stickY + (touchControls.rowing ? 1 : 0), -1, 1); // Stick up = forward
+    joystickKnob.style.transform = `translate(${touchControls.stickX * touchJoystickRadius}px, ${touchControls.stickY * touchJoystickRadius}px)`;
+}
+
+let joystickPointerId = null;
+function moveJoystick(event) {
+    const rect = joystickBase.getBoundingClientRect();
+    let x = (event.clientX - (rect.left + rect.width / 2)) / touchJoystickRadius;
+    let y = (event.clientY - (rect.top + rect.height / 2)) / touchJoystickRadius;
+    const length = Math.hypot(x, y);
+    if (length > 1) { x /= length; y /= length; } // Keep the knob on the base
+    touchControls.stickX = x;
+    touchControls.stickY = y;
+    updateTouchAxes();
+}
+joystickBase.addEventListener('pointerdown', (event) => {
+    if (joystickPointerId !== null) return;
+    joystickPointerId = event.pointerId;
+    joystickBase.setPointerCapture(event.pointerId); // Keep tracking outside the base
+    moveJoystick(event);
+    event.preventDefault();
+});
+joystickBase.addEventListener('pointermove', (event) => {
+    if (event.pointerId === joystickPointerId) moveJoystick(event);
+});
+const releaseJoystick = (event) => {
+    if (event.pointerId !== joystickPointerId) return;
+    joystickPointerId = null;
+    touchControls.stickX = 0;
+    touchControls.stickY = 0;
+    updateTouchAxes();
+};
+joystickBase.addEventListener('pointerup', releaseJoystick);
+joystickBase.addEventListener('pointercancel', releaseJoystick);
+
+const rowPointerIds = new Set();
+rowButton.addEventListener('pointerdown', (event) => {
+    rowPointerIds.add(event.pointerId);
+    rowButton.setPointerCapture(event.pointerId);
+    touchControls.rowing = true;
+    rowButton.style.background = 'rgba(255,255,255,0.45)';
+    updateTouchAxes();
+    event.preventDefault();
+});
+const releaseRow = (event) => {
+    if (!rowPointerIds.delete(event.pointerId)) return;
+    touchControls.rowing = rowPointerIds.size > 0;
+    if (!touchControls.rowing) rowButton.style.background = 'rgba(255,255,255,0.2)';
+    updateTouchAxes();
+};
+rowButton.addEventListener('pointerup', releaseRow);
+rowButton.addEventListener('pointercancel', releaseRow);
+
+// Pinch to zoom the chase cameras (the Orbit camera has its own pinch in OrbitControls)
+const canvasTouches = new Map(); // pointerId -> { x, y }
+let pinchStartDistance = 0;
+let pinchStartZoom = 1;
+const pinchDistance = () => {
+    const [a, b] = [...canvasTouches.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+};
+const startPinch = () => {
+    pinchStartDistance = pinchDistance();
+    pinchStartZoom = chaseCameraZoom;
+};
+renderer.domElement.style.touchAction = 'none'; // No browser page zoom/scroll on the canvas
+renderer.domElement.addEventListener('pointerdown', (event) => {
+    if (event.pointerType !== 'touch') return;
+    canvasTouches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (canvasTouches.size === 2) startPinch();
+});
+renderer.domElement.addEventListener('pointermove', (event) => {
+    if (!canvasTouches.has(event.pointerId)) return;
+    canvasTouches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (canvasTouches.size === 2 && pinchStartDistance > 0 && !orbitControls.enabled) {
+        // Fingers apart = closer camera
+        chaseCameraZoom = THREE.MathUtils.clamp(pinchStartZoom * pinchStartDistance / Math.max(1, pinchDistance()), touchZoomMin, touchZoomMax);
     }
 });
+const releaseCanvasTouch = (event) => {
+    canvasTouches.delete(event.pointerId);
+    // Lifting the third finger hands the pinch to the two that are left, from the current zoom
+    if (canvasTouches.size === 2) startPinch();
+    else pinchStartDistance = 0;
+};
+renderer.domElement.addEventListener('pointerup', releaseCanvasTouch);
+renderer.domElement.addEventListener('pointercancel', releaseCanvasTouch);
 
 // --- Window Resize Handler ---
 // [2025-02-28] Keep all the comments that were there in the original files.
 window.addEventListener('resize', onWindowResize, false);
 function onWindowResize() {
-    const aspect = window.innerWidth / window.innerHeight;
+    const aspect = getViewAspect();
     camera.aspect = aspect; camera.updateProjectionMatrix(); // 'Overhead' camera
     thirdPersonCamera.aspect = aspect; thirdPersonCamera.updateProjectionMatrix(); // Third person
+    orbitCamera.aspect = aspect; orbitCamera.updateProjectionMatrix(); // Orbit
+    firstPersonCamera.aspect = aspect; firstPersonCamera.updateProjectionMatrix(); // First person
+    cinematicCamera.aspect = aspect; cinematicCamera.updateProjectionMatrix(); // Cinematic
+    playerTwoCamera.aspect = aspect; playerTwoCamera.updateProjectionMatrix(); // Player two (split screen)
     renderer.setSize(window.innerWidth, window.innerHeight);
+    reflectionRenderTarget.setSize(
+        Math.max(1, Math.floor(window.innerWidth * reflectionResolutionScale)),
+        Math.max(1, Math.floor(window.innerHeight * reflectionResolutionScale))
+    );
+    const drawingBufferSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+    depthRenderTarget.setSize(drawingBufferSize.x, drawingBufferSize.y);
+    waterUniforms.depthScreenSize.value.copy(drawingBufferSize);
     if (waterMaterial && waterMaterial.isShaderMaterial && waterMaterial.uniforms.resolution) {
         waterMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
     }
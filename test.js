@@ -1,2 +1,184 @@
-// Placeholder test file
-console.log("Tests passed!");
+// Boat physics regression tests (run with `npm test`).
+// They load the real river assets and drive boatSimulation.js headless, without a renderer.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { computeBoundsTree, acceleratedRaycast } from 'three-mesh-bvh';
+
+import {
+    terrainScale, WATER_LEVEL_Y, targetFrameDuration, maxSpeed, maxAngularSpeed, hullProbePoints,
+    createBoatPhysicsState, getBoatSpawnPosition, buildRiverFlowField, sampleRiverFlow,
+    castBoundaryRay, stepBoatPhysics, resolveBoatCollisions, hullHalfLength, hullHalfWidth
+} from './boatSimulation.js';
+
+// GLTFLoader looks up URL on the browser's `self` when it meets embedded textures (river.glb has some)
+globalThis.self ??= globalThis;
+
+function loadGltf(file) {
+    const buffer = readFileSync(new URL(`./assets/${file}`, import.meta.url));
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    return new Promise((resolve, reject) => new GLTFLoader().parse(arrayBuffer, '', resolve, reject));
+}
+
+function firstMesh(gltf) {
+    let mesh = null;
+    gltf.scene.traverse((child) => { if (child.isMesh && !mesh) mesh = child; });
+    return mesh;
+}
+
+// Same placement as main.js: terrain scaled by terrainScale, water and boundary centered on it
+let terrainBox, boundaryMesh, riverFlowField;
+before(async () => {
+    const [terrainGltf, waterGltf, boundaryGltf] = await Promise.all([
+        loadGltf('river.glb'), loadGltf('water_mesh.glb'), loadGltf('boundary_mesh.glb')
+    ]);
+    terrainGltf.scene.scale.setScalar(terrainScale);
+    terrainBox = new THREE.Box3().setFromObject(terrainGltf.scene);
+    const center = terrainBox.getCenter(new THREE.Vector3());
+
+    const waterMesh = firstMesh(waterGltf);
+    if (!waterMesh.geometry.attributes.uv1) waterMesh.geometry.setAttribute('uv1', waterMesh.geometry.attributes.uv.clone());
+    waterMesh.scale.setScalar(terrainScale);
+    waterMesh.position.set(center.x, WATER_LEVEL_Y, center.z);
+    riverFlowField = buildRiverFlowField(waterMesh);
+
+    boundaryGltf.scene.scale.setScalar(terrainScale);
+    boundaryGltf.scene.position.copy(center);
+    boundaryGltf.scene.updateMatrixWorld(true);
+    boundaryMesh = firstMesh(boundaryGltf);
+    computeBoundsTree.call(boundaryMesh.geometry);
+    boundaryMesh.raycast = acceleratedRaycast;
+});
+
+function spawnBoat() {
+    const state = createBoatPhysicsState(new THREE.Object3D());
+    getBoatSpawnPosition(terrainBox, state.object.position);
+    state.object.updateMatrixWorld();
+    return state;
+}
+
+function riverWorld(overrides = {}) {
+    return { boundaryMesh, flowField: riverFlowField, windVelocity: new THREE.Vector3(), ...overrides };
+}
+
+// Runs `seconds` of fixed steps; `controlsAt(step)` returns { throttle, steer } and `afterStep` sees each result
+function simulate(state, world, seconds, controlsAt, afterStep = () => {}) {
+    const steps = Math.round(seconds / targetFrameDuration);
+    for (let step = 0; step < steps; step++) {
+        Object.assign(state.controls, controlsAt(step));
+        stepBoatPhysics(state, targetFrameDuration, world);
+        afterStep(state, step);
+    }
+}
+
+// The hull is inside the bank if a ray from its center to one of the probes crosses the boundary
+const probeOrigin = new THREE.Vector3();
+const probeWorld = new THREE.Vector3();
+const probeDirection = new THREE.Vector3();
+const probeNormal = new THREE.Vector3();
+function assertHullClear(state, step) {
+    state.object.updateMatrixWorld();
+    state.object.getWorldPosition(probeOrigin);
+    for (const point of hullProbePoints) {
+        probeWorld.copy(point).applyMatrix4(state.object.matrixWorld);
+        probeDirection.subVectors(probeWorld, probeOrigin);
+        const reach = probeDirection.length();
+        probeDirection.divideScalar(reach);
+        const hit = castBoundaryRay(boundaryMesh, probeOrigin, probeDirection, reach, probeNormal);
+        assert.equal(hit, Infinity, `hull probe (${point.toArray()}) inside the boundary at step ${step}, ${hit.toFixed(3)} of ${reach.toFixed(3)}`);
+    }
+}
+
+test('the boat spawns on open water', () => {
+    const state = spawnBoat();
+    assertHullClear(state, 0);
+    assert.equal(state.object.position.y, WATER_LEVEL_Y);
+});
+
+test('holding W from spawn drives into the bank without penetrating it', () => {
+    const state = spawnBoat();
+    let contactStep = -1, previousSpeed = 0;
+    simulate(state, riverWorld(), 8, () => ({ throttle: 1, steer: 0 }), (_, step) => {
+        // At full throttle the keel speed only drops sharply when the bank takes the into-wall motion away
+        if (contactStep < 0 && state.currentSpeed < previousSpeed - 1) contactStep = step;
+        previousSpeed = state.currentSpeed;
+        assertHullClear(state, step);
+    });
+    assert.ok(contactStep >= 0, 'the boat should reach the bank and be stopped by it');
+});
+
+test('rowing in circles and into the banks for 30 s never penetrates the boundary', () => {
+    const state = spawnBoat();
+    const steerPattern = (step) => Math.sin(step * targetFrameDuration * 0.7) > 0 ? 1 : -0.5;
+    simulate(state, riverWorld({ windVelocity: new THREE.Vector3(3, 0, 2) }), 30,
+        (step) => ({ throttle: 1, steer: steerPattern(step) }), assertHullClear);
+});
+
+test('backing up into the bank never penetrates the boundary', () => {
+    const state = spawnBoat();
+    simulate(state, riverWorld(), 10, (step) => ({ throttle: -1, steer: step < 45 ? 1 : 0 }), assertHullClear);
+});
+
+test('a boat pushed by another against the bank never penetrates it', () => {
+    const world = riverWorld();
+    const pinned = spawnBoat();
+    simulate(pinned, world, 5, () => ({ throttle: 1, steer: 0 })); // Rowed straight into the bank
+    const pusher = spawnBoat();
+    pusher.object.quaternion.copy(pinned.object.quaternion);
+    pusher.object.position.copy(pinned.object.position).add(new THREE.Vector3(0, 0, 5).applyQuaternion(pinned.object.quaternion)); // Bow overlapping its stern
+    const boats = [pinned, pusher];
+    const steps = Math.round(3 / targetFrameDuration);
+    for (let step = 0; step < steps; step++) {
+        for (const state of boats) {
+            Object.assign(state.controls, { throttle: 1, steer: 0 });
+            stepBoatPhysics(state, targetFrameDuration, world);
+        }
+        resolveBoatCollisions(boats, hullHalfLength, hullHalfWidth, boundaryMesh);
+        for (const state of boats) assertHullClear(state, step);
+    }
+});
+
+test('thrust accelerates along the keel and is capped at maxSpeed in still open water', () => {
+    const state = createBoatPhysicsState(new THREE.Object3D());
+    const openWater = { boundaryMesh: new THREE.Object3D(), flowField: null, windVelocity: new THREE.Vector3() };
+    simulate(state, openWater, 30, () => ({ throttle: 1, steer: 0 }));
+    assert.ok(state.currentSpeed <= maxSpeed + 1e-9);
+    assert.ok(state.currentSpeed > maxSpeed * 0.9, `expected close to maxSpeed, got ${state.currentSpeed}`);
+    assert.ok(state.object.position.z < 0, 'forward is -Z');
+    assert.ok(Math.abs(state.object.position.x) < 1e-9, 'no sideways drift without steering, current or wind');
+});
+
+test('steering right turns clockwise seen from above, at most maxAngularSpeed', () => {
+    const state = createBoatPhysicsState(new THREE.Object3D());
+    const openWater = { boundaryMesh: new THREE.Object3D(), flowField: null, windVelocity: new THREE.Vector3() };
+    simulate(state, openWater, 3, () => ({ throttle: 0, steer: 1 }));
+    assert.ok(state.angularVelocity < 0);
+    assert.ok(Math.abs(state.angularVelocity) <= maxAngularSpeed + 1e-9);
+});
+
+test('the boat is clamped to the water level', () => {
+    const state = spawnBoat();
+    state.object.position.y += 3;
+    simulate(state, riverWorld(), targetFrameDuration, () => ({ throttle: 0, steer: 0 }));
+    assert.equal(state.object.position.y, WATER_LEVEL_Y);
+});
+
+test('an idle boat drifts with the river current', () => {
+    const state = spawnBoat();
+    const current = sampleRiverFlow(riverFlowField, state.object.position.x, state.object.position.z, new THREE.Vector3());
+    assert.ok(current.length() > 0, 'the spawn point should be in moving water');
+    simulate(state, riverWorld(), 2, () => ({ throttle: 0, steer: 0 }));
+    assert.ok(state.velocity.dot(current) > 0, 'the boat should be carried downstream');
+});
+
+test('the same controls reproduce the same run exactly (replays rely on this)', () => {
+    const controlsAt = (step) => ({ throttle: step % 90 < 60 ? 1 : -0.4, steer: Math.round(Math.sin(step / 25) * 1000) / 1000 });
+    const runs = [spawnBoat(), spawnBoat()].map((state) => {
+        simulate(state, riverWorld(), 15, controlsAt);
+        return [...state.object.position.toArray(), ...state.object.quaternion.toArray(), state.velocity.x, state.velocity.z];
+    });
+    assert.deepEqual(runs[0], runs[1]);
+});